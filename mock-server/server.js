@@ -0,0 +1,560 @@
+// mock-server/server.js
+/**
+ * Mock Server - Local stand-in for ORDISS
+ *
+ * 📚 PURPOSE:
+ * Lets you work on page objects and utils without VPN access to the real
+ * server. Serves the landing page, login and the administration screens
+ * the page objects target, with the same roles and labels.
+ *
+ * 🎯 WHEN TO USE:
+ * - Offline framework development (npm run test:mock)
+ * - CI runs with no access to the ORDISS network
+ *
+ * 💡 EXAMPLE:
+ * npm run mock-server              # start on http://localhost:4700
+ * MOCK_PORT=5000 npm run mock-server
+ * npm run test:mock                # Playwright starts/stops it for you
+ *
+ * NEW MEMBERS:
+ * - No dependencies: plain Node http
+ * - Data is in memory (mock-server/store.js) and resets on restart
+ * - A green run against the mock proves the framework, not the app
+ */
+require('dotenv').config();
+const http = require('http');
+const { MockStore } = require('./store');
+const views = require('./views');
+
+const PORT = parseInt(process.env.MOCK_PORT) || 4700;
+const SESSION_COOKIE = 'ordiss_session';
+
+const store = new MockStore();
+
+// ============================================
+// Helpers
+// ============================================
+
+function getCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';').map((c) => c.trim());
+  const match = cookies.find((c) => c.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+}
+
+function sendHtml(res, html, status = 200, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    ...headers,
+  });
+  res.end(html);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+// ============================================
+// Routes
+// ============================================
+
+async function handleLogin(req, res) {
+  const form = await readBody(req);
+  const token = store.login(form.get('username'), form.get('password'));
+
+  if (!token) {
+    return sendHtml(
+      res,
+      views.loginPage({ error: 'Invalid username or password' }),
+      401,
+    );
+  }
+
+  redirect(res, '/administrator', {
+    'Set-Cookie': `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax`,
+  });
+}
+
+function readUnitTypeForm(form) {
+  return {
+    nameEn: (form.get('nameEn') || '').trim(),
+    nameBn: (form.get('nameBn') || '').trim(),
+    shortNameEn: (form.get('shortNameEn') || '').trim(),
+    shortNameBn: (form.get('shortNameBn') || '').trim(),
+    category: form.get('category') || '',
+    service: form.get('service') || '',
+    type: form.get('type') || '',
+    isDepot: form.get('isDepot') === 'true',
+    isWorkshop: form.get('isWorkshop') === 'true',
+    corps: form.getAll('corps'),
+  };
+}
+
+// Same rules as test-data/rules/unit-type-form.rules.js
+const UNIT_TYPE_RULES = [
+  { field: 'nameEn', label: 'Name (English)', maxLength: 150, unique: true },
+  {
+    field: 'nameBn',
+    label: 'Name (Bengali)',
+    maxLength: 150,
+    bengali: true,
+    unique: true,
+  },
+  {
+    field: 'shortNameEn',
+    label: 'Short Name (English)',
+    maxLength: 50,
+    unique: true,
+  },
+  {
+    field: 'shortNameBn',
+    label: 'Short Name (Bengali)',
+    maxLength: 50,
+    bengali: true,
+    unique: true,
+  },
+  { field: 'category', label: 'Category' },
+  { field: 'service', label: 'Services' },
+];
+
+// Form validation (400): required, length, script
+function validateUnitType(values) {
+  const errors = {};
+
+  for (const { field, label, maxLength, bengali } of UNIT_TYPE_RULES) {
+    const value = values[field];
+
+    if (!value) {
+      errors[field] = `${label} is required`;
+    } else if (maxLength && value.length > maxLength) {
+      errors[field] = `${label} must be at most ${maxLength} characters`;
+    } else if (bengali && !/[\u0980-\u09FF]/.test(value)) {
+      // Lenient like the app: mixed text passes, Latin-only doesn't
+      errors[field] = `${label} must be written in Bengali`;
+    }
+  }
+
+  return errors;
+}
+
+// Unique check (409), case and spacing ignored
+// id → editing that unit type (its own names are not duplicates)
+function findUnitTypeConflicts(values, id = null) {
+  const errors = {};
+
+  for (const { field, label, unique } of UNIT_TYPE_RULES) {
+    const existing = unique
+      ? store.findUnitTypeWith(field, values[field])
+      : null;
+    if (existing && existing.id !== id) {
+      errors[field] = `${label} "${values[field]}" already exists`;
+    }
+  }
+
+  return errors;
+}
+
+// Validation errors → 400; duplicates → 409 with a toast, like the app
+function refuseUnitType(res, { user, id, values }) {
+  const errors = validateUnitType(values);
+  if (Object.keys(errors).length > 0) {
+    sendHtml(res, views.unitTypeFormPage({ user, id, values, errors }), 400);
+    return true;
+  }
+
+  const conflicts = findUnitTypeConflicts(values, id);
+  if (Object.keys(conflicts).length > 0) {
+    const notice = `Unit type already exists: ${Object.values(conflicts).join(', ')}`;
+    sendHtml(
+      res,
+      views.unitTypeFormPage({ user, id, values, errors: conflicts, notice }),
+      409,
+    );
+    return true;
+  }
+
+  return false;
+}
+
+async function handleCreateUnitType(req, res, user) {
+  const values = readUnitTypeForm(await readBody(req));
+  if (refuseUnitType(res, { user, values })) {
+    return;
+  }
+
+  store.createUnitType(values);
+  redirect(res, '/administration/unit-types');
+}
+
+async function handleUpdateUnitType(req, res, user, id) {
+  const values = readUnitTypeForm(await readBody(req));
+  if (!store.getUnitType(id)) {
+    return sendHtml(res, views.notFoundPage({ user }), 404);
+  }
+  if (refuseUnitType(res, { user, id, values })) {
+    return;
+  }
+
+  store.updateUnitType(id, values);
+  redirect(res, '/administration/unit-types');
+}
+
+// 🌳 Organogram
+function organogram(res, user, { status = 200, notice = '' } = {}) {
+  sendHtml(
+    res,
+    views.organogramPage({
+      user,
+      notice,
+      nodes: store.listOrganogramNodes(),
+      unitTypes: store.listUnitTypes().map((unitType) => unitType.nameEn),
+    }),
+    status,
+  );
+}
+
+// Add child (parentId) or rename (node): name required, unique among
+// its siblings. Refused → organogram with a snack bar, like the app
+async function handleNodeForm(req, res, user, { node, parentId }) {
+  const form = await readBody(req);
+  const label = (form.get('label') || '').trim();
+  const siblingsOf = node ? node.parentId : parentId;
+
+  if (!label) {
+    return organogram(res, user, {
+      status: 400,
+      notice: 'Node name is required',
+    });
+  }
+  if (store.findOrganogramSibling(siblingsOf, label, node && node.id)) {
+    return organogram(res, user, {
+      status: 409,
+      notice: `Node "${label}" already exists at this level`,
+    });
+  }
+
+  if (node) {
+    store.updateOrganogramNode(node.id, { label });
+  } else {
+    store.addOrganogramNode({
+      label,
+      unitType: (form.get('unitType') || '').trim(),
+      parentId,
+    });
+  }
+  redirect(res, '/administration/organogram');
+}
+
+// Drag and drop: the node goes under parentId, unless that is the node
+// itself or one of its descendants, or the new level has its name
+async function handleMoveNode(req, res, user, node) {
+  const form = await readBody(req);
+  const parent = store.getOrganogramNode(Number(form.get('parentId')));
+
+  if (!parent) {
+    return organogram(res, user, {
+      status: 400,
+      notice: 'Drop target not found',
+    });
+  }
+  if (store.isInOrganogramSubtree(parent.id, node.id)) {
+    return organogram(res, user, {
+      status: 422,
+      notice: `Cannot move "${node.label}" under itself or its own descendant "${parent.label}"`,
+    });
+  }
+  if (store.findOrganogramSibling(parent.id, node.label, node.id)) {
+    return organogram(res, user, {
+      status: 409,
+      notice: `Node "${node.label}" already exists under "${parent.label}"`,
+    });
+  }
+
+  store.updateOrganogramNode(node.id, { parentId: parent.id });
+  redirect(res, '/administration/organogram');
+}
+
+// 👥 Manpower
+function nodeConfig(res, user, node, { status = 200, rows, notice = '' } = {}) {
+  sendHtml(
+    res,
+    views.nodeConfigPage({
+      user,
+      node,
+      notice,
+      path: store.organogramPathOf(node.id),
+      manpower: rows || store.getManpower(node.id),
+      totals: store.manpowerTotals(node.id),
+      rollup: {
+        children: store.organogramChildrenOf(node.id).map((child) => ({
+          label: child.label,
+          ...store.manpowerRollup(child.id),
+        })),
+        total: store.manpowerRollup(node.id),
+      },
+    }),
+    status,
+  );
+}
+
+// Whole table replaced on save. Rank and appointment required, counts
+// whole numbers of 0 or more; refused → same rows back with a snack bar
+async function handleSaveManpower(req, res, user, node) {
+  const form = await readBody(req);
+  const column = (name) => form.getAll(name).map((value) => value.trim());
+  const [ranks, appointments, authorized, held] = [
+    'rank',
+    'appointment',
+    'authorized',
+    'held',
+  ].map(column);
+  const rows = ranks.map((rank, i) => ({
+    rank,
+    appointment: appointments[i] || '',
+    authorized: authorized[i] || '',
+    held: held[i] || '',
+  }));
+
+  const errors = [];
+  rows.forEach((row, i) => {
+    if (!row.rank || !row.appointment) {
+      errors.push(`Row ${i + 1}: rank and appointment are required`);
+    }
+    for (const count of ['authorized', 'held']) {
+      if (!/^\d+$/.test(row[count])) {
+        errors.push(
+          `Row ${i + 1}: ${count === 'held' ? 'Held' : 'Authorized'} must be a whole number of 0 or more`,
+        );
+      }
+    }
+  });
+  if (errors.length > 0) {
+    return nodeConfig(res, user, node, {
+      status: 400,
+      rows,
+      notice: errors.join('; '),
+    });
+  }
+
+  store.setManpower(
+    node.id,
+    rows.map((row) => ({
+      ...row,
+      authorized: Number(row.authorized),
+      held: Number(row.held),
+    })),
+  );
+  redirect(res, `/administration/organogram/nodes/${node.id}/config`);
+}
+
+// Search, sort and page like the real grid (page is 0-based)
+function unitTypeList(user, params) {
+  const size = views.PAGE_SIZE_OPTIONS.includes(Number(params.get('size')))
+    ? Number(params.get('size'))
+    : 10;
+  const state = {
+    search: params.get('search') || '',
+    sort: params.get('sort') || '',
+    dir: params.get('dir') === 'desc' ? 'desc' : 'asc',
+    page: Math.max(0, parseInt(params.get('page')) || 0),
+    size,
+  };
+  if (!state.sort) state.dir = '';
+
+  const matches = [...store.listUnitTypes(state.search)];
+  if (state.sort) {
+    const direction = state.dir === 'desc' ? -1 : 1;
+    matches.sort(
+      (a, b) =>
+        String(a[state.sort] ?? '').localeCompare(String(b[state.sort] ?? '')) *
+        direction,
+    );
+  }
+
+  const lastPage = Math.max(0, Math.ceil(matches.length / size) - 1);
+  state.page = Math.min(state.page, lastPage);
+
+  return views.unitTypeListPage({
+    user,
+    state,
+    total: matches.length,
+    unitTypes: matches.slice(state.page * size, (state.page + 1) * size),
+  });
+}
+
+async function route(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const { pathname } = url;
+  const token = getCookie(req, SESSION_COOKIE);
+  const user = store.getUser(token);
+
+  // 🌐 Public routes
+  if (req.method === 'GET' && (pathname === '/' || pathname === '/landing')) {
+    return sendHtml(res, views.landingPage());
+  }
+  if (req.method === 'GET' && pathname === '/login') {
+    return sendHtml(res, views.loginPage());
+  }
+  if (req.method === 'POST' && pathname === '/login') {
+    return handleLogin(req, res);
+  }
+  if (pathname === '/logout') {
+    store.logout(token);
+    return redirect(res, '/login', {
+      'Set-Cookie': `${SESSION_COOKIE}=; Path=/; Max-Age=0`,
+    });
+  }
+
+  // 🔐 Everything else needs a session
+  if (!user) {
+    return redirect(res, '/login');
+  }
+
+  if (req.method === 'GET' && pathname === '/administrator') {
+    return sendHtml(res, views.homePage({ user }));
+  }
+
+  // 🧩 Unit Types
+  if (pathname === '/administration/unit-types') {
+    if (req.method === 'POST') {
+      return handleCreateUnitType(req, res, user);
+    }
+    return sendHtml(res, unitTypeList(user, url.searchParams));
+  }
+  if (
+    req.method === 'GET' &&
+    pathname === '/administration/unit-types/export'
+  ) {
+    const unitTypes = store.listUnitTypes(url.searchParams.get('search') || '');
+    res.writeHead(200, {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="unit-types.csv"',
+    });
+    return res.end(views.unitTypeCsv(unitTypes));
+  }
+  if (
+    req.method === 'GET' &&
+    pathname === '/administration/unit-types/create'
+  ) {
+    return sendHtml(res, views.unitTypeFormPage({ user }));
+  }
+
+  const editMatch = pathname.match(
+    /^\/administration\/unit-types\/(\d+)\/edit$/,
+  );
+  if (req.method === 'GET' && editMatch) {
+    const unitType = store.getUnitType(Number(editMatch[1]));
+    if (!unitType) {
+      return sendHtml(res, views.notFoundPage({ user }), 404);
+    }
+    return sendHtml(
+      res,
+      views.unitTypeFormPage({ user, id: unitType.id, values: unitType }),
+    );
+  }
+
+  const viewMatch = pathname.match(
+    /^\/administration\/unit-types\/(\d+)\/view$/,
+  );
+  if (req.method === 'GET' && viewMatch) {
+    const unitType = store.getUnitType(Number(viewMatch[1]));
+    if (!unitType) {
+      return sendHtml(res, views.notFoundPage({ user }), 404);
+    }
+    return sendHtml(
+      res,
+      views.unitTypeFormPage({
+        user,
+        id: unitType.id,
+        values: unitType,
+        readOnly: true,
+      }),
+    );
+  }
+
+  const toggleMatch = pathname.match(
+    /^\/administration\/unit-types\/(\d+)\/toggle-active$/,
+  );
+  if (req.method === 'POST' && toggleMatch) {
+    if (!store.toggleUnitTypeActive(Number(toggleMatch[1]))) {
+      return sendHtml(res, views.notFoundPage({ user }), 404);
+    }
+    return redirect(res, '/administration/unit-types');
+  }
+
+  const updateMatch = pathname.match(/^\/administration\/unit-types\/(\d+)$/);
+  if (req.method === 'POST' && updateMatch) {
+    return handleUpdateUnitType(req, res, user, Number(updateMatch[1]));
+  }
+
+  const deleteMatch = pathname.match(
+    /^\/administration\/unit-types\/(\d+)\/delete$/,
+  );
+  if (req.method === 'POST' && deleteMatch) {
+    if (!store.deleteUnitType(Number(deleteMatch[1]))) {
+      return sendHtml(res, views.notFoundPage({ user }), 404);
+    }
+    return redirect(res, '/administration/unit-types');
+  }
+
+  // 🌳 Organogram
+  if (req.method === 'GET' && pathname === '/administration/organogram') {
+    return organogram(res, user);
+  }
+
+  const nodeMatch = pathname.match(
+    /^\/administration\/organogram\/nodes\/(\d+)\/(children|rename|move|delete|config|manpower)$/,
+  );
+  if (nodeMatch) {
+    const node = store.getOrganogramNode(Number(nodeMatch[1]));
+    const action = nodeMatch[2];
+    if (!node) {
+      return sendHtml(res, views.notFoundPage({ user }), 404);
+    }
+    if (req.method === 'GET' && action === 'config') {
+      return nodeConfig(res, user, node);
+    }
+    if (req.method === 'POST' && action === 'manpower') {
+      return handleSaveManpower(req, res, user, node);
+    }
+    if (req.method === 'POST' && action === 'children') {
+      return handleNodeForm(req, res, user, { parentId: node.id });
+    }
+    if (req.method === 'POST' && action === 'rename') {
+      return handleNodeForm(req, res, user, { node });
+    }
+    if (req.method === 'POST' && action === 'move') {
+      return handleMoveNode(req, res, user, node);
+    }
+    if (req.method === 'POST' && action === 'delete') {
+      store.deleteOrganogramNode(node.id);
+      return redirect(res, '/administration/organogram');
+    }
+  }
+
+  sendHtml(res, views.notFoundPage({ user }), 404);
+}
+
+const server = http.createServer((req, res) => {
+  route(req, res).catch((error) => {
+    console.error('❌ Mock server error:', error);
+    sendHtml(
+      res,
+      `<h1>Internal Server Error</h1><pre>${error.message}</pre>`,
+      500,
+    );
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`✓ ORDISS mock server running at http://localhost:${PORT}`);
+});
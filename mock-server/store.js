@@ -0,0 +1,425 @@
+// mock-server/store.js
+/**
+ * Mock Server - In-memory data store
+ *
+ * 📚 PURPOSE:
+ * Holds users, sessions and records for the local stand-in server.
+ * Everything lives in memory: restarting the server resets the data and
+ * invalidates every session (same as a real server restart).
+ *
+ * NEW MEMBERS:
+ * - Users come from utils/auth-roles.js, so the credentials in .env work
+ *   against the mock exactly as they do against the real server
+ * - Option lists match the labels in test-data/unit-types.csv
+ */
+
+const crypto = require('crypto');
+const { getConfiguredRoles, getCredentials } = require('../utils/auth-roles');
+
+const CATEGORIES = ['Headquarter', 'Service', 'Arms'];
+const SERVICES = ['Bangladesh Army', 'Bangladesh Navy', 'Bangladesh Air Force'];
+const CORPS = [
+  'Armoured Corps',
+  'Artillery',
+  'Engineers',
+  'Signals',
+  'Infantry',
+  'Army Service Corps',
+  'Army Medical Corps',
+  'Ordnance',
+  'Electrical and Mechanical Engineering',
+  'Military Police',
+];
+
+// More than one grid page (default size 10), so paging is exercised
+const SEED_UNIT_TYPES = [
+  {
+    nameEn: 'Army Band Unit',
+    nameBn: 'আর্মি ব্যান্ড ইউনিট',
+    shortNameEn: 'ABU',
+    shortNameBn: 'এবিইউ',
+    category: 'Service',
+    service: 'Bangladesh Army',
+    type: 'Static',
+    isDepot: false,
+    isWorkshop: false,
+    corps: [],
+  },
+  {
+    nameEn: 'Army Museum',
+    nameBn: 'আর্মি মিউজিয়াম',
+    shortNameEn: 'AM',
+    shortNameBn: 'এএম',
+    category: 'Service',
+    service: 'Bangladesh Army',
+    type: 'Static',
+    isDepot: false,
+    isWorkshop: false,
+    corps: [],
+  },
+  {
+    nameEn: 'Army Golf Club',
+    nameBn: 'আর্মি গলফ ক্লাব',
+    shortNameEn: 'AGC',
+    shortNameBn: 'এজিসি',
+    category: 'Service',
+    service: 'Bangladesh Army',
+    type: 'Static',
+    isDepot: false,
+    isWorkshop: false,
+    corps: [],
+  },
+  ...[
+    ['Army Headquarters', 'সেনা সদর দপ্তর', 'AHQ', 'এএইচকিউ', 'Headquarter'],
+    [
+      'Army Training Command',
+      'আর্মি ট্রেনিং কমান্ড',
+      'ARTDOC',
+      'আর্টডক',
+      'Headquarter',
+    ],
+    ['Infantry Division', 'পদাতিক ডিভিশন', 'INF DIV', 'পদা ডিভ', 'Arms'],
+    [
+      'Artillery Brigade',
+      'আর্টিলারি ব্রিগেড',
+      'ARTY BDE',
+      'আর্টি ব্রিগেড',
+      'Arms',
+    ],
+    [
+      'Engineer Battalion',
+      'ইঞ্জিনিয়ার ব্যাটালিয়ন',
+      'ENGR BN',
+      'ইঞ্জি ব্যাট',
+      'Arms',
+    ],
+    ['Signal Battalion', 'সিগন্যাল ব্যাটালিয়ন', 'SIG BN', 'সিগ ব্যাট', 'Arms'],
+    [
+      'Field Ambulance',
+      'ফিল্ড অ্যাম্বুলেন্স',
+      'FD AMB',
+      'ফিল্ড অ্যাম্ব',
+      'Service',
+    ],
+    ['Supply Depot', 'সাপ্লাই ডিপো', 'SUP DEP', 'সাপ ডিপো', 'Service'],
+    ['Central Workshop', 'সেন্ট্রাল ওয়ার্কশপ', 'CWS', 'সিডব্লিউএস', 'Service'],
+  ].map(([nameEn, nameBn, shortNameEn, shortNameBn, category]) => ({
+    nameEn,
+    nameBn,
+    shortNameEn,
+    shortNameBn,
+    category,
+    service: 'Bangladesh Army',
+    type: 'Static',
+    isDepot: nameEn === 'Supply Depot',
+    isWorkshop: nameEn === 'Central Workshop',
+    corps: [],
+  })),
+];
+
+// Organogram: [label, unit type, children]. Only the root starts
+// expanded in the canvas, so readers have to expand branches
+const SEED_ORGANOGRAM = [
+  'Army Headquarters',
+  'Army Headquarters',
+  [
+    [
+      'Army Training Command',
+      'Army Training Command',
+      [['Army Band Unit', 'Army Band Unit', []]],
+    ],
+    [
+      '9 Infantry Division',
+      'Infantry Division',
+      [
+        [
+          '6 Artillery Brigade',
+          'Artillery Brigade',
+          [['9 Field Ambulance', 'Field Ambulance', []]],
+        ],
+        ['9 Engineer Battalion', 'Engineer Battalion', []],
+        ['9 Signal Battalion', 'Signal Battalion', []],
+      ],
+    ],
+    [
+      'Central Workshop',
+      'Central Workshop',
+      [['Supply Depot', 'Supply Depot', []]],
+    ],
+  ],
+];
+
+// Manpower by node label: [rank, appointment, authorized, held]. Parents
+// carry their own headquarters rows on top of their children's roll-ups
+const SEED_MANPOWER = {
+  '9 Infantry Division': [
+    ['Major General', 'General Officer Commanding', 1, 1],
+    ['Colonel', 'Colonel Staff', 1, 1],
+  ],
+  '6 Artillery Brigade': [
+    ['Brigadier General', 'Brigade Commander', 1, 1],
+    ['Major', 'Brigade Major', 1, 0],
+  ],
+  '9 Field Ambulance': [
+    ['Lieutenant Colonel', 'Commanding Officer', 1, 1],
+    ['Captain', 'Medical Officer', 6, 4],
+    ['Sergeant', 'Nursing Assistant', 24, 21],
+  ],
+  '9 Engineer Battalion': [
+    ['Lieutenant Colonel', 'Commanding Officer', 1, 1],
+    ['Major', 'Company Commander', 4, 3],
+    ['Sapper', 'Field Engineer', 420, 389],
+  ],
+  '9 Signal Battalion': [
+    ['Lieutenant Colonel', 'Commanding Officer', 1, 1],
+    ['Captain', 'Signal Officer', 8, 7],
+    ['Signaller', 'Radio Operator', 310, 297],
+  ],
+};
+
+class MockStore {
+  constructor() {
+    this.sessions = new Map();
+    this.unitTypes = [];
+    this.nextId = 1;
+    this.organogramNodes = [];
+    this.nextNodeId = 1;
+    this.manpower = new Map(); // node id → rows
+
+    this.users = getConfiguredRoles().map((role) => ({
+      role,
+      ...getCredentials(role),
+    }));
+
+    SEED_UNIT_TYPES.forEach((unitType) => this.createUnitType(unitType));
+
+    const seedNode = ([label, unitType, children], parentId) => {
+      const node = this.addOrganogramNode({ label, unitType, parentId });
+      children.forEach((child) => seedNode(child, node.id));
+    };
+    seedNode(SEED_ORGANOGRAM, null);
+
+    for (const [label, rows] of Object.entries(SEED_MANPOWER)) {
+      const node = this.organogramNodes.find((n) => n.label === label);
+      this.setManpower(
+        node.id,
+        rows.map(([rank, appointment, authorized, held]) => ({
+          rank,
+          appointment,
+          authorized,
+          held,
+        })),
+      );
+    }
+  }
+
+  // 🔐 Auth
+  login(username, password) {
+    const user = this.users.find(
+      (u) => u.username === username && u.password === password,
+    );
+    if (!user) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(token, user);
+    return token;
+  }
+
+  logout(token) {
+    this.sessions.delete(token);
+  }
+
+  getUser(token) {
+    return this.sessions.get(token) || null;
+  }
+
+  // 🧩 Unit Types
+  listUnitTypes(search = '') {
+    const term = search.trim().toLowerCase();
+    if (!term) {
+      return this.unitTypes;
+    }
+
+    return this.unitTypes.filter((unitType) =>
+      [unitType.nameEn, unitType.nameBn, unitType.shortNameEn]
+        .join(' ')
+        .toLowerCase()
+        .includes(term),
+    );
+  }
+
+  getUnitType(id) {
+    return this.unitTypes.find((unitType) => unitType.id === id) || null;
+  }
+
+  // Case and spacing ignored, like the app's unique check
+  findUnitTypeWith(field, value) {
+    const key = (text) =>
+      String(text ?? '')
+        .normalize('NFC')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+    const wanted = key(value);
+    if (!wanted) {
+      return null;
+    }
+    return (
+      this.unitTypes.find((unitType) => key(unitType[field]) === wanted) || null
+    );
+  }
+
+  createUnitType(data) {
+    const unitType = { id: this.nextId++, active: true, ...data };
+    this.unitTypes.push(unitType);
+    return unitType;
+  }
+
+  updateUnitType(id, data) {
+    const unitType = this.getUnitType(id);
+    if (!unitType) {
+      return null;
+    }
+    return Object.assign(unitType, data);
+  }
+
+  toggleUnitTypeActive(id) {
+    const unitType = this.getUnitType(id);
+    if (!unitType) {
+      return null;
+    }
+    unitType.active = !unitType.active;
+    return unitType;
+  }
+
+  deleteUnitType(id) {
+    const index = this.unitTypes.findIndex((unitType) => unitType.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.unitTypes.splice(index, 1);
+    return true;
+  }
+
+  // 🌳 Organogram (flat list, parentId links; order = insertion order)
+  listOrganogramNodes() {
+    return this.organogramNodes;
+  }
+
+  getOrganogramNode(id) {
+    return this.organogramNodes.find((node) => node.id === id) || null;
+  }
+
+  addOrganogramNode({ label, unitType = '', parentId = null }) {
+    const node = { id: this.nextNodeId++, label, unitType, parentId };
+    this.organogramNodes.push(node);
+    return node;
+  }
+
+  organogramChildrenOf(parentId) {
+    return this.organogramNodes.filter((node) => node.parentId === parentId);
+  }
+
+  // Labels from the root down to the node
+  organogramPathOf(id) {
+    const path = [];
+    for (
+      let node = this.getOrganogramNode(id);
+      node;
+      node = this.getOrganogramNode(node.parentId)
+    ) {
+      path.unshift(node.label);
+    }
+    return path;
+  }
+
+  // Whether id is ancestorId itself or somewhere under it
+  isInOrganogramSubtree(id, ancestorId) {
+    for (
+      let node = this.getOrganogramNode(id);
+      node;
+      node = this.getOrganogramNode(node.parentId)
+    ) {
+      if (node.id === ancestorId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Sibling with the same label (case and spacing ignored)
+  findOrganogramSibling(parentId, label, exceptId = null) {
+    const key = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+    return (
+      this.organogramChildrenOf(parentId).find(
+        (node) => node.id !== exceptId && key(node.label) === key(label),
+      ) || null
+    );
+  }
+
+  updateOrganogramNode(id, data) {
+    const node = this.getOrganogramNode(id);
+    if (!node) {
+      return null;
+    }
+    return Object.assign(node, data);
+  }
+
+  // Deletes the node and everything under it; returns how many went
+  deleteOrganogramNode(id) {
+    if (!this.getOrganogramNode(id)) {
+      return 0;
+    }
+    const doomed = new Set([id]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const node of this.organogramNodes) {
+        if (doomed.has(node.parentId) && !doomed.has(node.id)) {
+          doomed.add(node.id);
+          grew = true;
+        }
+      }
+    }
+    this.organogramNodes = this.organogramNodes.filter(
+      (node) => !doomed.has(node.id),
+    );
+    doomed.forEach((nodeId) => this.manpower.delete(nodeId));
+    return doomed.size;
+  }
+
+  // 👥 Manpower (rows: { rank, appointment, authorized, held })
+  getManpower(id) {
+    return this.manpower.get(id) || [];
+  }
+
+  setManpower(id, rows) {
+    this.manpower.set(id, rows);
+  }
+
+  // Own rows summed
+  manpowerTotals(id) {
+    return this.getManpower(id).reduce(
+      (sum, row) => ({
+        authorized: sum.authorized + row.authorized,
+        held: sum.held + row.held,
+      }),
+      { authorized: 0, held: 0 },
+    );
+  }
+
+  // Own rows plus everything under the node
+  manpowerRollup(id) {
+    return this.organogramChildrenOf(id).reduce((sum, child) => {
+      const rollup = this.manpowerRollup(child.id);
+      return {
+        authorized: sum.authorized + rollup.authorized,
+        held: sum.held + rollup.held,
+      };
+    }, this.manpowerTotals(id));
+  }
+}
+
+module.exports = { MockStore, CATEGORIES, SERVICES, CORPS };
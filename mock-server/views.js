@@ -0,0 +1,921 @@
+// mock-server/views.js
+/**
+ * Mock Server - HTML views
+ *
+ * 📚 PURPOSE:
+ * Server-rendered pages that reproduce the roles, labels and Angular
+ * Material markup the page objects target (mat-select, mat-option,
+ * mat-chip, mat-table, ...). A small inline script drives the overlays.
+ *
+ * NEW MEMBERS:
+ * - If a page object locator changes, the matching markup here must too
+ * - Keep it close to the real app, not to what is convenient for tests
+ */
+
+const { CATEGORIES, SERVICES, CORPS } = require('./store');
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Drives mat-select panels, the corps autocomplete, the landing menu,
+// dialogs and the organogram (branches, node context menu)
+const CLIENT_SCRIPT = `
+(() => {
+  const overlay = () => document.querySelector('.cdk-overlay-container');
+  const collapseTriggers = () =>
+    document
+      .querySelectorAll('[aria-expanded="true"]:not([role="treeitem"])')
+      .forEach((el) => el.setAttribute('aria-expanded', 'false'));
+  // Panels and menus close on outside clicks; an open dialog stays
+  const closePanels = () => {
+    overlay()
+      .querySelectorAll(':scope > :not(.dialog-pane)')
+      .forEach((el) => el.remove());
+    collapseTriggers();
+  };
+  const closeDialog = () => {
+    overlay().innerHTML = '';
+    collapseTriggers();
+  };
+  const openPanel = (trigger, panelClass, options, onPick) => {
+    closePanels();
+    const panel = document.createElement('div');
+    panel.className = panelClass;
+    panel.setAttribute('role', 'listbox');
+    options.forEach((label) => {
+      const option = document.createElement('mat-option');
+      option.className = 'mat-option';
+      option.setAttribute('role', 'option');
+      option.innerHTML = '<span class="mat-option-text"></span>';
+      option.firstChild.textContent = label;
+      option.addEventListener('click', (event) => {
+        event.stopPropagation();
+        onPick(label);
+        closePanels();
+      });
+      panel.appendChild(option);
+    });
+    overlay().appendChild(panel);
+    trigger.setAttribute('aria-expanded', 'true');
+  };
+
+  const bindSelect = (select) => {
+    const options = JSON.parse(select.dataset.options);
+    const input = document.querySelector('input[name="' + select.dataset.name + '"]');
+    select.addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (select.closest('fieldset[disabled]')) return;
+      openPanel(select, 'mat-select-panel', options, (label) => {
+        // Paginator page size: reload the grid with the new size
+        if (select.dataset.navigate) {
+          location.href = select.dataset.navigate.replace('%7Bvalue%7D', label);
+          return;
+        }
+        input.value = label;
+        select.querySelector('.mat-select-value-text').textContent = label;
+      });
+    });
+  };
+  document.querySelectorAll('mat-select').forEach(bindSelect);
+
+  document.querySelectorAll('.mat-chip-input').forEach((input) => {
+    const options = JSON.parse(input.dataset.options);
+    const chipList = document.getElementById(input.dataset.chipList);
+    const chosen = () =>
+      Array.from(chipList.querySelectorAll('input[type="hidden"]')).map((el) => el.value);
+    const addChip = (label) => {
+      const chip = document.createElement('mat-chip');
+      chip.className = 'mat-chip';
+      chip.innerHTML =
+        '<span class="mat-chip-text"></span>' +
+        '<button type="button" class="mat-chip-remove">×</button>' +
+        '<input type="hidden">';
+      chip.querySelector('.mat-chip-text').textContent = label;
+      chip.querySelector('.mat-chip-remove').setAttribute('aria-label', 'Remove ' + label);
+      chip.querySelector('input').name = input.dataset.name;
+      chip.querySelector('input').value = label;
+      chipList.appendChild(chip);
+    };
+    const refresh = () => {
+      const term = input.value.trim().toLowerCase();
+      const matches = options.filter(
+        (label) => !chosen().includes(label) && label.toLowerCase().includes(term),
+      );
+      openPanel(input, 'mat-autocomplete-panel', matches, (label) => {
+        addChip(label);
+        input.value = '';
+      });
+    };
+    input.addEventListener('click', (event) => { event.stopPropagation(); refresh(); });
+    input.addEventListener('input', refresh);
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') closePanels();
+      if (event.key === 'Enter') event.preventDefault();
+    });
+  });
+
+  const showDialog = (html) => {
+    closeDialog();
+    overlay().innerHTML =
+      '<div class="dialog-pane"><div class="cdk-overlay-backdrop"></div>' +
+      '<mat-dialog-container role="dialog" aria-modal="true" class="mat-dialog-container">' +
+      html +
+      '</mat-dialog-container></div>';
+    return overlay().querySelector('mat-dialog-container');
+  };
+  const openDialog = (action, text) => {
+    const dialog = showDialog(
+      '<h2 class="mat-dialog-title">Confirm</h2>' +
+      '<mat-dialog-content class="mat-dialog-content"></mat-dialog-content>' +
+      '<mat-dialog-actions class="mat-dialog-actions">' +
+      '<button type="button" data-dialog-cancel>No</button>' +
+      '<form method="post"><button type="submit">Yes</button></form>' +
+      '</mat-dialog-actions>',
+    );
+    dialog.querySelector('mat-dialog-content').textContent = text;
+    dialog.querySelector('form').action = action;
+  };
+
+  // Organogram: right-click a node card → menu of node actions
+  const NODE_ACTIONS = [
+    ['add-child', 'Add Child Node'],
+    ['rename', 'Rename'],
+    ['configure', 'Configure'],
+    ['delete', 'Delete'],
+  ];
+  document.addEventListener('contextmenu', (event) => {
+    const card = event.target.closest('.node-card');
+    if (!card) return;
+    event.preventDefault();
+    closePanels();
+    const item = card.closest('[role="treeitem"]');
+    const menu = document.createElement('div');
+    menu.className = 'mat-menu-panel node-context-menu';
+    menu.setAttribute('role', 'menu');
+    menu.style.position = 'fixed';
+    menu.style.left = event.clientX + 'px';
+    menu.style.top = event.clientY + 'px';
+    menu.dataset.nodeId = item.dataset.nodeId;
+    menu.dataset.nodeLabel = card.querySelector('.node-label').textContent;
+    NODE_ACTIONS.forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'mat-menu-item';
+      button.setAttribute('role', 'menuitem');
+      button.dataset.nodeAction = action;
+      button.textContent = label;
+      menu.appendChild(button);
+    });
+    overlay().appendChild(menu);
+  });
+  const runNodeAction = (action, id, label) => {
+    const url = '/administration/organogram/nodes/' + id;
+    if (action === 'configure') {
+      location.href = url + '/config';
+      return;
+    }
+    if (action === 'delete') {
+      openDialog(url + '/delete', 'Delete node "' + label + '" and everything under it?');
+      return;
+    }
+    // Add child / rename: form dialog from the page's template
+    const template = document.getElementById('node-dialog-' + action);
+    const dialog = showDialog(template.innerHTML);
+    dialog.querySelector('form').action = url + '/' + template.dataset.path;
+    if (action === 'rename') dialog.querySelector('input[name="label"]').value = label;
+    dialog.querySelectorAll('mat-select').forEach(bindSelect);
+    dialog.querySelector('input[name="label"]').focus();
+  };
+
+  document.addEventListener('click', (event) => {
+    const confirmTrigger = event.target.closest('[data-confirm-url]');
+    if (confirmTrigger) {
+      event.preventDefault(); // toggles only change once confirmed
+      openDialog(confirmTrigger.dataset.confirmUrl, confirmTrigger.dataset.confirmText);
+      return;
+    }
+    if (event.target.closest('[data-dialog-cancel]')) {
+      closeDialog();
+      return;
+    }
+    const nodeAction = event.target.closest('[data-node-action]');
+    if (nodeAction) {
+      const menu = nodeAction.closest('[role="menu"]');
+      closePanels();
+      runNodeAction(nodeAction.dataset.nodeAction, menu.dataset.nodeId, menu.dataset.nodeLabel);
+      return;
+    }
+
+    // Organogram: expand/collapse a branch
+    const toggle = event.target.closest('.node-toggle');
+    if (toggle) {
+      const item = toggle.closest('[role="treeitem"]');
+      const label = item.querySelector('.node-label').textContent;
+      const expand = item.getAttribute('aria-expanded') !== 'true';
+      item.setAttribute('aria-expanded', String(expand));
+      item.querySelector(':scope > [role="group"]').hidden = !expand;
+      toggle.textContent = expand ? '−' : '+';
+      toggle.setAttribute('aria-label', (expand ? 'Collapse ' : 'Expand ') + label);
+      return;
+    }
+
+    const remove = event.target.closest('.mat-chip-remove');
+    if (remove) remove.closest('mat-chip').remove();
+
+    const menuTrigger = event.target.closest('[data-menu]');
+    document.querySelectorAll('[role="menu"]').forEach((menu) => {
+      menu.hidden = !menuTrigger || menu.id !== menuTrigger.dataset.menu;
+    });
+    if (!event.target.closest('.cdk-overlay-container')) closePanels();
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closePanels();
+  });
+
+  // Manpower: add/remove rows, keep the Total row in step
+  const manpowerTable = document.querySelector('.manpower-table');
+  const updateManpowerTotals = () => {
+    ['authorized', 'held'].forEach((name) => {
+      const sum = Array.from(manpowerTable.querySelectorAll('input[name="' + name + '"]'))
+        .reduce((total, input) => total + (parseInt(input.value, 10) || 0), 0);
+      manpowerTable.querySelector('.total-' + name).textContent = sum;
+    });
+  };
+  if (manpowerTable) {
+    updateManpowerTotals();
+    manpowerTable.addEventListener('input', updateManpowerTotals);
+    manpowerTable.addEventListener('click', (event) => {
+      const remove = event.target.closest('.remove-row');
+      if (!remove) return;
+      remove.closest('.mat-row').remove();
+      updateManpowerTotals();
+    });
+    document.querySelector('.add-row').addEventListener('click', () => {
+      const template = document.getElementById('manpower-row');
+      manpowerTable
+        .querySelector('.manpower-total')
+        .insertAdjacentHTML('beforebegin', template.innerHTML);
+      manpowerTable.querySelector('.manpower-total').previousElementSibling
+        .querySelector('input').focus();
+    });
+  }
+
+  // Organogram: zoom the chart (50% - 200%)
+  const chart = document.querySelector('.organogram-chart');
+  const setZoom = (percent) => {
+    const zoom = Math.min(200, Math.max(50, percent));
+    chart.dataset.zoom = zoom;
+    chart.style.transform = 'scale(' + zoom / 100 + ')';
+    document.querySelector('.zoom-level').textContent = zoom + '%';
+  };
+  document.querySelectorAll('[data-zoom]').forEach((button) => {
+    button.addEventListener('click', () => {
+      const step = button.dataset.zoom;
+      setZoom(step === 'reset' ? 100 : Number(chart.dataset.zoom) + Number(step));
+    });
+  });
+
+  // Organogram: drag a node card onto its new parent. Holding the
+  // pointer near a canvas edge scrolls the canvas (auto-scroll)
+  const AUTO_SCROLL_EDGE = 24;
+  let drag = null;
+  const autoScroll = () => {
+    const canvas = document.querySelector('.organogram-canvas');
+    const rect = canvas.getBoundingClientRect();
+    const { x, y } = drag.pointer;
+    if (y < rect.top + AUTO_SCROLL_EDGE) canvas.scrollTop -= 20;
+    if (y > rect.bottom - AUTO_SCROLL_EDGE) canvas.scrollTop += 20;
+    if (x < rect.left + AUTO_SCROLL_EDGE) canvas.scrollLeft -= 20;
+    if (x > rect.right - AUTO_SCROLL_EDGE) canvas.scrollLeft += 20;
+  };
+  const cardAt = (x, y) => {
+    const element = document.elementFromPoint(x, y);
+    return element && element.closest('.node-card');
+  };
+  document.addEventListener('mousedown', (event) => {
+    const card = event.target.closest('.node-card');
+    if (!card || event.button !== 0 || event.target.closest('.node-toggle')) return;
+    event.preventDefault();
+    drag = { card, start: { x: event.clientX, y: event.clientY }, active: false };
+  });
+  document.addEventListener('mousemove', (event) => {
+    if (!drag) return;
+    drag.pointer = { x: event.clientX, y: event.clientY };
+    if (!drag.active) {
+      const moved =
+        Math.abs(event.clientX - drag.start.x) + Math.abs(event.clientY - drag.start.y);
+      if (moved < 5) return;
+      drag.active = true;
+      drag.card.classList.add('dragging');
+      drag.timer = setInterval(autoScroll, 50);
+    }
+    document.querySelectorAll('.drop-target').forEach((el) => el.classList.remove('drop-target'));
+    const over = cardAt(event.clientX, event.clientY);
+    if (over && over !== drag.card) over.classList.add('drop-target');
+  });
+  document.addEventListener('mouseup', (event) => {
+    if (!drag) return;
+    const { card, active, timer } = drag;
+    drag = null;
+    clearInterval(timer);
+    card.classList.remove('dragging');
+    document.querySelectorAll('.drop-target').forEach((el) => el.classList.remove('drop-target'));
+    const target = active && cardAt(event.clientX, event.clientY);
+    if (!target || target === card) return;
+
+    // Dropped on another node: the server decides whether the move is allowed
+    const form = document.createElement('form');
+    form.method = 'post';
+    form.action =
+      '/administration/organogram/nodes/' + card.closest('[role="treeitem"]').dataset.nodeId + '/move';
+    form.innerHTML = '<input type="hidden" name="parentId">';
+    form.firstChild.value = target.closest('[role="treeitem"]').dataset.nodeId;
+    document.body.appendChild(form);
+    form.submit();
+  });
+})();
+`;
+
+function layout({ title, body, user }) {
+  const toolbar = user
+    ? `<header role="banner" class="mat-toolbar">
+        <span>ORDISS</span>
+        <div class="profile-card"><span class="profile-name">${escapeHtml(user.username)}</span></div>
+        <a href="/logout">Log out</a>
+      </header>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} | ORDISS</title>
+</head>
+<body>
+  ${toolbar}
+  <main>${body}</main>
+  <div class="cdk-overlay-container"></div>
+  <script>${CLIENT_SCRIPT}</script>
+</body>
+</html>`;
+}
+
+// 🌐 Landing / Auth
+function landingPage() {
+  return layout({
+    title: 'Welcome',
+    body: `
+      <header role="banner" class="mat-toolbar">
+        <span>ORDISS</span>
+        <button type="button" data-menu="login-menu">Log in</button>
+        <div role="menu" id="login-menu" class="mat-menu-panel" hidden>
+          <button type="button" role="menuitem" onclick="location.href='/login'">ORDISS Main</button>
+        </div>
+      </header>
+      <h1>Ordnance Directorate Information System</h1>`,
+  });
+}
+
+function loginPage({ error } = {}) {
+  return layout({
+    title: 'Log in',
+    body: `
+      <h1>Log in</h1>
+      ${error ? `<div class="alert alert-danger" role="alert">${escapeHtml(error)}</div>` : ''}
+      <form method="post" action="/login">
+        <input type="text" name="username" aria-label="Enter user ID" placeholder="Enter user ID">
+        <input type="password" name="password" aria-label="Enter password" placeholder="Enter password">
+        <button type="submit">Log in</button>
+      </form>`,
+  });
+}
+
+function homePage({ user }) {
+  return layout({
+    title: 'Administrator',
+    user,
+    body: `
+      <h1>Administrator</h1>
+      <nav>
+        <a href="/administration/unit-types">Unit Types</a>
+        <a href="/administration/organogram">Organogram</a>
+      </nav>`,
+  });
+}
+
+// 🧩 Unit Types
+const UNIT_TYPE_COLUMNS = [
+  ['Name (English)', 'nameEn'],
+  ['Name (Bengali)', 'nameBn'],
+  ['Short Name (English)', 'shortNameEn'],
+  ['Short Name (Bengali)', 'shortNameBn'],
+  ['Category', 'category'],
+  ['Service', 'service'],
+  ['Type', 'type'],
+];
+
+const PAGE_SIZE_OPTIONS = [5, 10, 25, 50];
+
+// Grid state lives in the query string: search, sort, dir, page, size
+function listUrl(state, changes = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...state, ...changes })) {
+    if (value !== '' && value !== null && value !== undefined) {
+      params.set(key, value);
+    }
+  }
+  return `/administration/unit-types?${params}`;
+}
+
+// mat-sort-header cycle: none → asc → desc → none
+function sortHeaderCell(label, key, state) {
+  const direction = state.sort === key ? state.dir : '';
+  const ariaSort =
+    { asc: 'ascending', desc: 'descending' }[direction] || 'none';
+  const next = { '': 'asc', asc: 'desc', desc: '' }[direction];
+  const href = listUrl(state, {
+    sort: next ? key : '',
+    dir: next,
+    page: 0,
+  });
+
+  return `
+    <mat-header-cell role="columnheader" class="mat-header-cell mat-sort-header"
+      aria-sort="${ariaSort}" onclick="location.href='${escapeHtml(href)}'">
+      <div class="mat-sort-header-container" role="button">${label}</div>
+    </mat-header-cell>`;
+}
+
+function paginator(state, total) {
+  const { page, size } = state;
+  const lastPage = Math.max(0, Math.ceil(total / size) - 1);
+  const from = total === 0 ? 0 : page * size + 1;
+  const to = Math.min(total, (page + 1) * size);
+  const range = total === 0 ? `0 of 0` : `${from} – ${to} of ${total}`;
+
+  const navButton = (label, target, disabled) => `
+    <button type="button" class="mat-icon-button mat-paginator-navigation-${label.split(' ')[0].toLowerCase()}"
+      aria-label="${label}" ${disabled ? 'disabled' : `onclick="location.href='${escapeHtml(listUrl(state, { page: target }))}'"`}>
+    </button>`;
+
+  return `
+    <mat-paginator class="mat-paginator">
+      <div class="mat-paginator-page-size">
+        <div class="mat-paginator-page-size-label" id="page-size-label">Items per page:</div>
+        <mat-select class="mat-select" role="combobox" tabindex="0" aria-haspopup="listbox"
+          aria-expanded="false" aria-labelledby="page-size-label"
+          data-options="${escapeHtml(JSON.stringify(PAGE_SIZE_OPTIONS.map(String)))}"
+          data-navigate="${escapeHtml(listUrl(state, { size: '{value}', page: 0 }))}">
+          <span class="mat-select-value-text">${size}</span>
+        </mat-select>
+      </div>
+      <div class="mat-paginator-range-label">${range}</div>
+      ${navButton('First page', 0, page === 0)}
+      ${navButton('Previous page', page - 1, page === 0)}
+      ${navButton('Next page', page + 1, page >= lastPage)}
+      ${navButton('Last page', lastPage, page >= lastPage)}
+    </mat-paginator>`;
+}
+
+// unitTypes: current page only; total: matches over all pages
+function unitTypeListPage({ user, unitTypes, total, state }) {
+  const headerCells =
+    UNIT_TYPE_COLUMNS.map(([label, key]) =>
+      sortHeaderCell(label, key, state),
+    ).join('') +
+    '<mat-header-cell role="columnheader" class="mat-header-cell mat-column-active">Active</mat-header-cell>' +
+    '<mat-header-cell role="columnheader" class="mat-header-cell mat-column-actions">Actions</mat-header-cell>';
+
+  const rows = unitTypes
+    .map(
+      (unitType) => `
+        <mat-row role="row" class="mat-row" data-id="${unitType.id}">
+          ${UNIT_TYPE_COLUMNS.map(
+            ([, key]) =>
+              `<mat-cell role="cell" class="mat-cell">${escapeHtml(unitType[key])}</mat-cell>`,
+          ).join('')}
+          <mat-cell role="cell" class="mat-cell mat-column-active">
+            <mat-slide-toggle class="mat-slide-toggle">
+              <input type="checkbox" role="switch" aria-label="Active" ${unitType.active ? 'checked' : ''}
+                data-confirm-url="/administration/unit-types/${unitType.id}/toggle-active"
+                data-confirm-text="${unitType.active ? 'Deactivate' : 'Activate'} unit type &quot;${escapeHtml(unitType.nameEn)}&quot;?">
+            </mat-slide-toggle>
+          </mat-cell>
+          <mat-cell role="cell" class="mat-cell mat-column-actions">
+            <button type="button" class="mat-icon-button" aria-label="View"
+              onclick="location.href='/administration/unit-types/${unitType.id}/view'">
+              <mat-icon class="mat-icon">visibility</mat-icon>
+            </button>
+            <button type="button" class="mat-icon-button" aria-label="Edit"
+              onclick="location.href='/administration/unit-types/${unitType.id}/edit'">
+              <mat-icon class="mat-icon">edit</mat-icon>
+            </button>
+            <button type="button" class="mat-icon-button" aria-label="Delete"
+              data-confirm-url="/administration/unit-types/${unitType.id}/delete"
+              data-confirm-text="Delete unit type &quot;${escapeHtml(unitType.nameEn)}&quot;?">
+              <mat-icon class="mat-icon">delete</mat-icon>
+            </button>
+          </mat-cell>
+        </mat-row>`,
+    )
+    .join('');
+
+  return layout({
+    title: 'Unit Types',
+    user,
+    body: `
+      <h1>Unit Types</h1>
+      <button type="button" onclick="location.href='/administration/unit-types/create'">Create Unit Type</button>
+      <button type="button" onclick="location.href='${escapeHtml(`/administration/unit-types/export?${new URLSearchParams({ search: state.search })}`)}'">Export</button>
+      <form method="get" action="/administration/unit-types" class="search-form">
+        <input type="text" role="combobox" name="search" aria-label="Search" value="${escapeHtml(state.search)}">
+        <input type="hidden" name="sort" value="${escapeHtml(state.sort)}">
+        <input type="hidden" name="dir" value="${escapeHtml(state.dir)}">
+        <input type="hidden" name="size" value="${state.size}">
+      </form>
+      <mat-table role="table" class="mat-table">
+        <mat-header-row role="row" class="mat-header-row">${headerCells}</mat-header-row>
+        ${rows}
+      </mat-table>
+      ${unitTypes.length === 0 ? '<div class="no-data">No data found</div>' : ''}
+      ${paginator(state, total)}`,
+  });
+}
+
+function textField(id, label, value, error) {
+  return `
+    <mat-form-field class="mat-form-field">
+      <label for="${id}">${label}</label>
+      <input id="${id}" name="${id}" class="mat-input-element" value="${escapeHtml(value)}">
+      ${error ? `<mat-error class="mat-error" role="alert">${escapeHtml(error)}</mat-error>` : ''}
+    </mat-form-field>`;
+}
+
+function selectField(name, label, options, value, error) {
+  return `
+    <mat-form-field class="mat-form-field">
+      <mat-label id="${name}-label">${label}</mat-label>
+      <mat-select class="mat-select" role="combobox" tabindex="0" aria-haspopup="listbox"
+        aria-expanded="false" aria-labelledby="${name}-label" data-name="${name}"
+        data-options="${escapeHtml(JSON.stringify(options))}">
+        <span class="mat-select-value-text">${escapeHtml(value)}</span>
+      </mat-select>
+      <input type="hidden" name="${name}" value="${escapeHtml(value)}">
+      ${error ? `<mat-error class="mat-error" role="alert">${escapeHtml(error)}</mat-error>` : ''}
+    </mat-form-field>`;
+}
+
+// id given → edit mode (Update button, posts to /administration/unit-types/:id)
+// readOnly → view mode (disabled controls, Back button only)
+// notice → snack bar text (server refused the save)
+function unitTypeFormPage({
+  user,
+  id,
+  values = {},
+  errors = {},
+  notice = '',
+  readOnly = false,
+}) {
+  const title = readOnly
+    ? 'View Unit Type'
+    : id
+      ? 'Edit Unit Type'
+      : 'Create Unit Type';
+  const disabled = readOnly ? 'disabled' : '';
+  const action = id
+    ? `/administration/unit-types/${id}`
+    : '/administration/unit-types';
+
+  const corpsChips = (values.corps || [])
+    .map(
+      (corps) => `
+        <mat-chip class="mat-chip">
+          <span class="mat-chip-text">${escapeHtml(corps)}</span>
+          <button type="button" class="mat-chip-remove" aria-label="Remove ${escapeHtml(corps)}">×</button>
+          <input type="hidden" name="corps" value="${escapeHtml(corps)}">
+        </mat-chip>`,
+    )
+    .join('');
+
+  const radio = (label) => `
+    <mat-radio-button class="mat-radio-button">
+      <label>
+        <input type="radio" class="mat-radio-input" name="type" value="${label}" ${values.type === label ? 'checked' : ''}>
+        <span class="mat-radio-label-content">${label}</span>
+      </label>
+    </mat-radio-button>`;
+
+  const checkbox = (name, label) => `
+    <mat-checkbox class="mat-checkbox">
+      <label>
+        <input type="checkbox" class="mat-checkbox-input" name="${name}" value="true" ${values[name] ? 'checked' : ''}>
+        <span class="mat-checkbox-label">${label}</span>
+      </label>
+    </mat-checkbox>`;
+
+  return layout({
+    title,
+    user,
+    body: `
+      <h2>${title}</h2>
+      ${
+        notice
+          ? `<div class="mat-snack-bar-container" role="alert"><simple-snack-bar>${escapeHtml(notice)}</simple-snack-bar></div>`
+          : ''
+      }
+      <form method="post" action="${action}" class="unit-type-form">
+        <fieldset class="form-fields" ${disabled}>
+        ${textField('nameEn', 'Name (English)', values.nameEn, errors.nameEn)}
+        ${textField('nameBn', 'Name (Bengali)', values.nameBn, errors.nameBn)}
+        ${textField('shortNameEn', 'Short Name (English)', values.shortNameEn, errors.shortNameEn)}
+        ${textField('shortNameBn', 'Short Name (Bengali)', values.shortNameBn, errors.shortNameBn)}
+        ${selectField('category', 'Category', CATEGORIES, values.category, errors.category)}
+        ${selectField('service', 'Services', SERVICES, values.service, errors.service)}
+
+        <mat-radio-group role="radiogroup" class="mat-radio-group" aria-label="Type">
+          ${radio('Static')}
+          ${radio('Field')}
+        </mat-radio-group>
+
+        <section class="service-type">
+          ${checkbox('isDepot', 'Depot')}
+          ${checkbox('isWorkshop', 'Workshop')}
+        </section>
+
+        <mat-form-field class="mat-form-field">
+          <mat-chip-list class="mat-chip-list" id="corps-chips">${corpsChips}</mat-chip-list>
+          <label for="corps">Select corps</label>
+          <input id="corps" class="mat-chip-input mat-autocomplete-trigger" role="combobox"
+            aria-autocomplete="list" aria-expanded="false" autocomplete="off"
+            data-name="corps" data-chip-list="corps-chips"
+            data-options="${escapeHtml(JSON.stringify(CORPS))}">
+        </mat-form-field>
+        </fieldset>
+
+        <div class="form-actions">
+          ${
+            readOnly
+              ? `<button type="button" onclick="location.href='/administration/unit-types'">Back</button>`
+              : `<button type="button" onclick="location.href='/administration/unit-types'">Cancel</button>
+          <button type="submit">${id ? 'Update' : 'Create'}</button>`
+          }
+        </div>
+      </form>`,
+  });
+}
+
+// 🌳 Organogram
+const ORGANOGRAM_STYLE = `
+  .organogram-canvas { overflow: auto; max-width: 960px; height: 480px; border: 1px solid #ccc; }
+  .org-tree, .org-tree ul { list-style: none; margin: 0; padding-left: 32px; }
+  .node-card { display: inline-flex; gap: 8px; align-items: center; margin: 6px 0;
+    padding: 6px 10px; border: 1px solid #888; border-radius: 4px; background: #fff;
+    cursor: grab; user-select: none; }
+  .node-card.dragging { opacity: 0.5; }
+  .node-card.drop-target { outline: 2px dashed #1976d2; }
+  .node-unit-type { color: #666; font-size: 12px; }
+  .organogram-chart { transform-origin: 0 0; }`;
+
+// Only the root starts expanded; collapsed branches keep their children
+// hidden until the toggle is clicked (the app loads them on expand)
+function organogramNode(node, childrenOf, level) {
+  const children = childrenOf(node.id);
+  const expanded = level === 1;
+  const branch = children.length > 0;
+
+  return `
+    <li role="treeitem" class="org-node" data-node-id="${node.id}" aria-level="${level}"
+      ${branch ? `aria-expanded="${expanded}"` : ''}>
+      <div class="node-card">
+        ${
+          branch
+            ? `<button type="button" class="node-toggle" aria-label="${expanded ? 'Collapse' : 'Expand'} ${escapeHtml(node.label)}">${expanded ? '−' : '+'}</button>`
+            : ''
+        }
+        <span class="node-label">${escapeHtml(node.label)}</span>
+        <span class="node-unit-type">${escapeHtml(node.unitType)}</span>
+      </div>
+      ${
+        branch
+          ? `<ul role="group" ${expanded ? '' : 'hidden'}>${children
+              .map((child) => organogramNode(child, childrenOf, level + 1))
+              .join('')}</ul>`
+          : ''
+      }
+    </li>`;
+}
+
+// Form dialogs of the node context menu (the client script fills in the
+// node and posts to /administration/organogram/nodes/:id/<path>)
+function nodeDialogTemplate(action, path, title, fields) {
+  return `
+    <template id="node-dialog-${action}" data-path="${path}">
+      <h2 class="mat-dialog-title">${title}</h2>
+      <form method="post" class="node-form">
+        <mat-dialog-content class="mat-dialog-content">${fields}</mat-dialog-content>
+        <mat-dialog-actions class="mat-dialog-actions">
+          <button type="button" data-dialog-cancel>Cancel</button>
+          <button type="submit">Save</button>
+        </mat-dialog-actions>
+      </form>
+    </template>`;
+}
+
+// notice → snack bar text (server refused a node change)
+function organogramPage({ user, nodes, unitTypes = [], notice = '' }) {
+  const childrenOf = (parentId) =>
+    nodes.filter((node) => node.parentId === parentId);
+
+  return layout({
+    title: 'Organogram',
+    user,
+    body: `
+      <style>${ORGANOGRAM_STYLE}</style>
+      <h1>Organogram</h1>
+      ${
+        notice
+          ? `<div class="mat-snack-bar-container" role="alert"><simple-snack-bar>${escapeHtml(notice)}</simple-snack-bar></div>`
+          : ''
+      }
+      ${nodeDialogTemplate(
+        'add-child',
+        'children',
+        'Add Child Node',
+        textField('label', 'Node Name', '') +
+          selectField('unitType', 'Unit Type', unitTypes, ''),
+      )}
+      ${nodeDialogTemplate('rename', 'rename', 'Rename Node', textField('label', 'Node Name', ''))}
+      <div class="organogram-toolbar">
+        <button type="button" aria-label="Zoom out" data-zoom="-25">−</button>
+        <span class="zoom-level">100%</span>
+        <button type="button" aria-label="Zoom in" data-zoom="25">+</button>
+        <button type="button" data-zoom="reset">Reset zoom</button>
+      </div>
+      <div class="organogram-canvas">
+        <div class="organogram-chart" data-zoom="100">
+          <ul role="tree" aria-label="Organogram" class="org-tree">
+            ${childrenOf(null)
+              .map((root) => organogramNode(root, childrenOf, 1))
+              .join('')}
+          </ul>
+        </div>
+      </div>`,
+  });
+}
+
+// 👥 Manpower table: one editable row per rank/appointment
+function manpowerRow(row = {}) {
+  const input = (name, label, type = 'text') => `
+    <mat-cell role="cell" class="mat-cell">
+      <input name="${name}" aria-label="${label}" type="${type}" class="mat-input-element"
+        value="${escapeHtml(row[name] ?? '')}">
+    </mat-cell>`;
+
+  return `
+    <mat-row role="row" class="mat-row">
+      ${input('rank', 'Rank')}
+      ${input('appointment', 'Appointment')}
+      ${input('authorized', 'Authorized', 'number')}
+      ${input('held', 'Held', 'number')}
+      <mat-cell role="cell" class="mat-cell mat-column-actions">
+        <button type="button" class="mat-icon-button remove-row" aria-label="Remove row">
+          <mat-icon class="mat-icon">delete</mat-icon>
+        </button>
+      </mat-cell>
+    </mat-row>`;
+}
+
+function headerRow(labels) {
+  return `<mat-header-row role="row" class="mat-header-row">${labels
+    .map(
+      (label) =>
+        `<mat-header-cell role="columnheader" class="mat-header-cell">${label}</mat-header-cell>`,
+    )
+    .join('')}</mat-header-row>`;
+}
+
+function footerRow(cells, className = '') {
+  return `<mat-footer-row role="row" class="mat-footer-row ${className}">${cells
+    .map(
+      ([value, cellClass = '']) =>
+        `<mat-footer-cell role="cell" class="mat-footer-cell ${cellClass}">${escapeHtml(value)}</mat-footer-cell>`,
+    )
+    .join('')}</mat-footer-row>`;
+}
+
+// Node configuration (opened from the node context menu)
+// manpower → the node's own rows (as submitted when refused)
+// totals → own rows summed; rollup → { children: [{ label, authorized,
+// held }], total } with the children's own roll-ups
+// notice → snack bar text (server refused the save)
+function nodeConfigPage({
+  user,
+  node,
+  path,
+  manpower = [],
+  totals,
+  rollup,
+  notice = '',
+}) {
+  const rollupRows = [
+    { label: 'Own establishment', ...totals },
+    ...rollup.children,
+  ]
+    .map(
+      ({ label, authorized, held }) => `
+        <mat-row role="row" class="mat-row">
+          <mat-cell role="cell" class="mat-cell">${escapeHtml(label)}</mat-cell>
+          <mat-cell role="cell" class="mat-cell">${authorized}</mat-cell>
+          <mat-cell role="cell" class="mat-cell">${held}</mat-cell>
+        </mat-row>`,
+    )
+    .join('');
+
+  return layout({
+    title: 'Node Configuration',
+    user,
+    body: `
+      <h1>Node Configuration</h1>
+      <nav class="breadcrumb" aria-label="Breadcrumb">${path.map(escapeHtml).join(' / ')}</nav>
+      <h2 class="node-config-title" data-node-id="${node.id}">${escapeHtml(node.label)}</h2>
+      <p class="node-config-unit-type">${escapeHtml(node.unitType)}</p>
+      ${
+        notice
+          ? `<div class="mat-snack-bar-container" role="alert"><simple-snack-bar>${escapeHtml(notice)}</simple-snack-bar></div>`
+          : ''
+      }
+
+      <section class="manpower" aria-label="Manpower">
+        <h3>Manpower</h3>
+        <template id="manpower-row">${manpowerRow()}</template>
+        <form method="post" action="/administration/organogram/nodes/${node.id}/manpower">
+          <mat-table role="table" class="mat-table manpower-table">
+            ${headerRow(['Rank', 'Appointment', 'Authorized', 'Held', 'Actions'])}
+            ${manpower.map((row) => manpowerRow(row)).join('')}
+            ${footerRow(
+              [
+                ['Total'],
+                [''],
+                [totals.authorized, 'total-authorized'],
+                [totals.held, 'total-held'],
+                [''],
+              ],
+              'manpower-total',
+            )}
+          </mat-table>
+          <button type="button" class="add-row">Add Row</button>
+          <button type="submit">Save</button>
+        </form>
+      </section>
+
+      <section class="rollup" aria-label="Roll-up">
+        <h3>Roll-up</h3>
+        <mat-table role="table" class="mat-table rollup-table">
+          ${headerRow(['Node', 'Authorized', 'Held'])}
+          ${rollupRows}
+          ${footerRow([['Total'], [rollup.total.authorized], [rollup.total.held]])}
+        </mat-table>
+      </section>
+
+      <button type="button" onclick="location.href='/administration/organogram'">Back</button>`,
+  });
+}
+
+function notFoundPage({ user }) {
+  return layout({ title: 'Not found', user, body: '<h1>Page not found</h1>' });
+}
+
+// CSV of the searched unit types, grid columns. UTF-8 with BOM, like
+// the app's export (Excel needs the BOM to read Bengali)
+function unitTypeCsv(unitTypes) {
+  const cell = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    UNIT_TYPE_COLUMNS.map(([label]) => cell(label)).join(','),
+    ...unitTypes.map((unitType) =>
+      UNIT_TYPE_COLUMNS.map(([, key]) => cell(unitType[key])).join(','),
+    ),
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  PAGE_SIZE_OPTIONS,
+  unitTypeCsv,
+  landingPage,
+  loginPage,
+  homePage,
+  unitTypeListPage,
+  unitTypeFormPage,
+  organogramPage,
+  nodeConfigPage,
+  notFoundPage,
+};
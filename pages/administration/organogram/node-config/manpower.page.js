@@ -1,18 +1,453 @@
 // pages/administration/organogram/node-config/manpower.page.js
 const BasePage = require('../../../base.page');
+const MatTable = require('../../../components/mat-table.component');
+const NodeContextMenuPage = require('../node-context-menu.page');
+const {
+  diffRecord,
+  formatRecordDiff,
+} = require('../../../../utils/record-diff');
+const {
+  SAVE_OUTCOMES,
+  classifySaveOutcome,
+  describeSaveOutcome,
+} = require('../../../../utils/save-outcome');
 
 /**
  * Administration → Organogram Node Configuration - Manpower Page Object
  * Handles node manpower configuration
+ *
+ * 📚 TEACHING NOTES FOR NEW MEMBERS:
+ *
+ * 1. ROWS LOOK LIKE DATA ROWS
+ *    readRows() returns { Rank, Appointment, Authorized, Held } with the
+ *    counts as numbers - the same shape addRow()/setRows() take.
+ *
+ * 2. A ROW IS RANK + APPOINTMENT
+ *    editRow()/removeRow() find the row by both, so two Captains with
+ *    different appointments are never confused.
+ *
+ * 3. TOTALS ARE CHECKED, NOT TRUSTED
+ *    expectRollupsConsistent(label) walks the node and everything under
+ *    it: Total row = sum of rows, roll-up = own total + each child's
+ *    roll-up, and each child's figure matches the child's own page.
+ *
+ * USAGE:
+ *   await manpower.open('9 Signal Battalion');
+ *   await manpower.addRow({
+ *     Rank: 'Captain',
+ *     Appointment: 'Adjutant',
+ *     Authorized: 1,
+ *     Held: 1,
+ *   });
+ *   await manpower.save();
+ *   await manpower.expectRollupsConsistent('9 Infantry Division');
  */
+
+const COUNT_COLUMNS = ['Authorized', 'Held'];
+const ROW_COLUMNS = ['Rank', 'Appointment', ...COUNT_COLUMNS];
+const OWN_ROW = 'Own establishment';
+const SAVE_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * { Authorized, Held } summed over rows
+ * @private
+ */
+function sumCounts(rows) {
+  const sum = Object.fromEntries(COUNT_COLUMNS.map((column) => [column, 0]));
+  for (const row of rows) {
+    for (const column of COUNT_COLUMNS) {
+      sum[column] += Number(row[column]) || 0;
+    }
+  }
+  return sum;
+}
+
+/**
+ * Counts as numbers, other cells as text
+ * @private
+ */
+function typeRow(row) {
+  return Object.fromEntries(
+    Object.entries(row).map(([column, value]) => [
+      column,
+      COUNT_COLUMNS.includes(column) && /^-?\d+$/.test(value)
+        ? Number(value)
+        : value,
+    ]),
+  );
+}
+
 class ManpowerPage extends BasePage {
   constructor(page) {
     super(page);
-    // TODO: Add locators
+
+    // 🧩 Locators
+    this.nodeTitle = page.locator('.node-config-title');
+
+    // Manpower table (editable) and its Total row
+    this.manpowerTable = new MatTable(page, {
+      root: page.locator('.manpower-table'),
+    });
+    this.rows = this.manpowerTable.rows;
+    this.addRowButton = page.getByRole('button', { name: 'Add Row' });
+    this.saveButton = page.getByRole('button', { name: 'Save' });
+
+    // Roll-up table: own establishment, one row per child, Total row
+    this.rollupTable = new MatTable(page, {
+      root: page.locator('.rollup-table'),
+    });
+
+    // Toast or page alert after a refused save
+    this.notice = page
+      .locator(
+        'simple-snack-bar, .mat-snack-bar-container, .alert, [role="alert"]:not(mat-error)',
+      )
+      .first();
+  }
+
+  // 🌐 Navigation
+  /**
+   * Open a node's configuration from the canvas (right-click → Configure)
+   * @param {string} label - Exact node label
+   */
+  async open(label) {
+    const menu = new NodeContextMenuPage(this.page);
+    await menu.canvas.navigate();
+    await menu.openConfiguration(label);
+    await this.expectOnPage();
   }
 
   async expectOnPage() {
-    // TODO: Implement expectation
+    await this.waitForElement(this.manpowerTable.root);
+  }
+
+  async readNodeLabel() {
+    return (await this.getElementText(this.nodeTitle)).trim();
+  }
+
+  // 📖 Reading
+  /**
+   * Rows of the manpower table as shown (unsaved edits included)
+   * @returns {Promise<Array<{Rank, Appointment, Authorized, Held}>>}
+   */
+  async readRows() {
+    await this.expectOnPage();
+    const rows = await this.manpowerTable.root.evaluate((table, columns) => {
+      const headers = [...table.querySelectorAll('.mat-header-cell')].map(
+        (cell) => cell.innerText.trim(),
+      );
+      return [...table.querySelectorAll('.mat-row')].map((row) => {
+        const cells = [...row.querySelectorAll('.mat-cell')];
+        return Object.fromEntries(
+          columns.map((column) => {
+            const cell = cells[headers.indexOf(column)];
+            const input = cell && cell.querySelector('input, textarea');
+            return [
+              column,
+              input ? input.value.trim() : (cell?.innerText || '').trim(),
+            ];
+          }),
+        );
+      });
+    }, ROW_COLUMNS);
+
+    return rows.map(typeRow);
+  }
+
+  /**
+   * Total row of the manpower table
+   * @returns {Promise<{Authorized: number, Held: number}>}
+   */
+  async readTotals() {
+    return this.readFooter(this.manpowerTable);
+  }
+
+  /**
+   * Roll-up table
+   * @returns {Promise<{own, children, total}>}
+   *   own      → { Authorized, Held } of the node's own rows
+   *   children → [{ Node, Authorized, Held }] one per child node
+   *   total    → { Authorized, Held } shown in the Total row
+   */
+  async readRollup() {
+    const rows = (await this.rollupTable.readRows()).map(typeRow);
+    const own = rows.find((row) => row.Node === OWN_ROW);
+    if (!own) {
+      throw new Error(
+        `❌ Roll-up has no "${OWN_ROW}" row. Rows: ${rows.map((row) => row.Node).join(', ')}`,
+      );
+    }
+
+    const counts = (row) =>
+      Object.fromEntries(COUNT_COLUMNS.map((column) => [column, row[column]]));
+    return {
+      own: counts(own),
+      children: rows.filter((row) => row !== own),
+      total: await this.readFooter(this.rollupTable),
+    };
+  }
+
+  /**
+   * Footer (Total) row of a table as { Authorized, Held }
+   * @private
+   */
+  async readFooter(table) {
+    const headers = await table.headers();
+    const cells = (
+      await table.root
+        .locator('.mat-footer-row .mat-footer-cell')
+        .allInnerTexts()
+    ).map((text) => text.trim());
+
+    return typeRow(
+      Object.fromEntries(
+        COUNT_COLUMNS.map((column) => [column, cells[headers.indexOf(column)]]),
+      ),
+    );
+  }
+
+  // ✏️ Editing
+  /**
+   * Row locator by rank and appointment
+   * @private
+   * @throws Error listing the rows if there is no such row
+   */
+  async row(rank, appointment) {
+    const rows = await this.readRows();
+    const index = rows.findIndex(
+      (row) => row.Rank === rank && row.Appointment === appointment,
+    );
+    if (index === -1) {
+      throw new Error(
+        `❌ No manpower row "${rank} / ${appointment}". Rows: ${rows.map((row) => `${row.Rank} / ${row.Appointment}`).join(', ') || '(none)'}`,
+      );
+    }
+    return this.rows.nth(index);
+  }
+
+  /**
+   * Type values into a row's inputs (only the columns given)
+   * @private
+   */
+  async fillRow(row, values) {
+    for (const column of ROW_COLUMNS) {
+      if (column in values) {
+        await this.fillField(
+          row.getByLabel(column, { exact: true }),
+          String(values[column]),
+        );
+      }
+    }
+  }
+
+  /**
+   * Add a row at the end of the table (not saved yet)
+   * @param {object} values - { Rank, Appointment, Authorized, Held }
+   */
+  async addRow(values) {
+    const count = await this.rows.count();
+    await this.clickButton(this.addRowButton);
+    await this.rows.nth(count).waitFor({ state: 'visible', timeout: 5000 });
+    await this.fillRow(this.rows.nth(count), values);
+  }
+
+  /**
+   * Change some columns of a row (not saved yet)
+   * @param {string} rank
+   * @param {string} appointment
+   * @param {object} changes - e.g. { Held: 3 }
+   */
+  async editRow(rank, appointment, changes) {
+    await this.fillRow(await this.row(rank, appointment), changes);
+  }
+
+  /**
+   * Remove a row (not saved yet)
+   */
+  async removeRow(rank, appointment) {
+    const count = await this.rows.count();
+    const row = await this.row(rank, appointment);
+    await row.getByRole('button', { name: 'Remove row' }).click();
+    await this.waitForRowCount(count - 1);
+  }
+
+  /**
+   * Replace every row with the given ones (not saved yet)
+   * @param {object[]} rows
+   */
+  async setRows(rows) {
+    for (let count = await this.rows.count(); count > 0; count--) {
+      await this.rows
+        .first()
+        .getByRole('button', { name: 'Remove row' })
+        .click();
+      await this.waitForRowCount(count - 1);
+    }
+    for (const row of rows) {
+      await this.addRow(row);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async waitForRowCount(count) {
+    await this.page.waitForFunction(
+      ([selector, expected]) =>
+        document.querySelectorAll(selector).length === expected,
+      ['.manpower-table .mat-row', count],
+      { timeout: 5000 },
+    );
+  }
+
+  // 💾 Saving
+  /**
+   * Save the table and classify what happened
+   * Doesn't throw on a refused save: for negative tests
+   * @returns {Promise<{outcome, status, message, fieldErrors}>}
+   */
+  async attemptSave() {
+    const response = this.page
+      .waitForResponse(
+        (res) =>
+          SAVE_METHODS.includes(res.request().method()) &&
+          /manpower/i.test(new URL(res.url()).pathname),
+        { timeout: 10000 },
+      )
+      .catch(() => null); // none: refused before sending (client-side)
+
+    await this.clickButton(this.saveButton);
+    const status = (await response)?.status() ?? null;
+    await this.waitForPageLoad('networkidle');
+    await this.expectOnPage();
+
+    const message = (await this.notice.isVisible())
+      ? (await this.notice.innerText()).trim()
+      : '';
+    const fieldErrors = (
+      await this.manpowerTable.root.locator('mat-error').allInnerTexts()
+    )
+      .map((text) => text.trim())
+      .filter(Boolean);
+
+    // The table stays on screen either way: the request was accepted and
+    // no row shows an error. No request seen: the page's errors decide
+    return classifySaveOutcome({
+      status,
+      leftForm: status !== null && status < 400 && fieldErrors.length === 0,
+      message,
+      fieldErrors,
+    });
+  }
+
+  /**
+   * Save the table
+   * @throws Error naming why the app refused it
+   */
+  async save() {
+    const result = await this.attemptSave();
+    if (result.outcome !== SAVE_OUTCOMES.SUCCESS) {
+      throw new Error(
+        describeSaveOutcome(
+          result,
+          `Manpower of "${await this.readNodeLabel()}"`,
+        ),
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Reopen the node and assert the saved table equals rows, in order
+   * (reopened, not reloaded: after a refused save the page is the POST)
+   * @param {object[]} rows - { Rank, Appointment, Authorized, Held }
+   * @throws Error listing row count or field differences
+   */
+  async expectSavedAs(rows) {
+    const node = await this.readNodeLabel();
+    await this.open(node);
+    const saved = await this.readRows();
+    const label = `Manpower of "${node}"`;
+
+    if (saved.length !== rows.length) {
+      throw new Error(
+        `❌ ${label} saved with ${saved.length} rows, expected ${rows.length}:\n` +
+          saved
+            .map((row) => `   ${ROW_COLUMNS.map((c) => row[c]).join(' | ')}`)
+            .join('\n'),
+      );
+    }
+    rows.forEach((row, i) => {
+      const diff = diffRecord(row, saved[i]);
+      if (diff.length > 0) {
+        throw new Error(formatRecordDiff(`${label}, row ${i + 1}`, diff));
+      }
+    });
+  }
+
+  // 🧮 Totals and roll-ups
+  /**
+   * Check a node and everything under it: Total row = sum of rows,
+   * roll-up own row = Total row, roll-up Total = own + children, and each
+   * child's roll-up figure = that child's own roll-up Total
+   * Opens every node's configuration in turn
+   * @param {string} label - Node to start from
+   * @returns {Promise<string[]>} Problems found ([] if consistent)
+   */
+  async findRollupErrors(label) {
+    const errors = [];
+    await this.collectRollupErrors(label, errors);
+    return errors;
+  }
+
+  /**
+   * Assert totals and roll-ups are consistent under a node
+   * @throws Error listing every mismatch
+   *
+   * USAGE:
+   *   await manpower.expectRollupsConsistent('9 Infantry Division');
+   */
+  async expectRollupsConsistent(label) {
+    const errors = await this.findRollupErrors(label);
+    if (errors.length > 0) {
+      throw new Error(
+        `❌ Manpower totals under "${label}" don't add up (${errors.length}):\n   ${errors.join('\n   ')}`,
+      );
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<object>} The node's roll-up Total as shown
+   */
+  async collectRollupErrors(label, errors) {
+    await this.open(label);
+    const rows = await this.readRows();
+    const totals = await this.readTotals();
+    const rollup = await this.readRollup();
+
+    const compare = (what, shown, expected) => {
+      for (const column of COUNT_COLUMNS) {
+        if (shown[column] !== expected[column]) {
+          errors.push(
+            `${label}: ${what} ${column} is ${shown[column]}, expected ${expected[column]}`,
+          );
+        }
+      }
+    };
+    compare('Total row', totals, sumCounts(rows));
+    compare(`roll-up "${OWN_ROW}"`, rollup.own, totals);
+    compare(
+      'roll-up Total',
+      rollup.total,
+      sumCounts([rollup.own, ...rollup.children]),
+    );
+
+    for (const child of rollup.children) {
+      const childTotal = await this.collectRollupErrors(child.Node, errors);
+      compare(`roll-up row "${child.Node}"`, child, childTotal);
+    }
+    return rollup.total;
   }
 }
 
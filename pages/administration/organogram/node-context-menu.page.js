@@ -1,18 +1,357 @@
 // pages/administration/organogram/node-context-menu.page.js
 const BasePage = require('../../base.page');
+const OrganogramCanvasPage = require('./organogram-canvas.page');
+const MatSelect = require('../../components/mat-select.component');
+const { getCleanupRegistry } = require('../../../utils/cleanup-registry');
+const { findNode } = require('../../../utils/organogram-tree');
+const {
+  SAVE_OUTCOMES,
+  classifySaveOutcome,
+  describeSaveOutcome,
+} = require('../../../utils/save-outcome');
 
 /**
  * Administration → Organogram Node Context Menu Page Object
  * Handles node right-click context menu
+ *
+ * 📚 TEACHING NOTES FOR NEW MEMBERS:
+ *
+ * 1. ONE MENU PER RIGHT-CLICK
+ *    Every action opens the menu on the named node first (open()), so a
+ *    test never acts on a menu left over from another node.
+ *
+ * 2. CHECK THE TREE, NOT THE TOAST
+ *    Actions reload the canvas. Verify with OrganogramCanvasPage.readTree()
+ *    and utils/organogram-tree.js, e.g. findParent(tree, 'New Cell').
+ *
+ * 3. attempt* FOR EXPECTED FAILURES
+ *    addChild()/rename() throw when the app refuses the change;
+ *    attemptAddChild()/attemptRename() return the outcome instead
+ *    (utils/save-outcome.js).
+ *
+ * 4. CLEANUP
+ *    Nodes added here are deleted at teardown under their latest name;
+ *    deleting a node (or an ancestor) here needs no cleanup.
+ *
+ * USAGE:
+ *   const menu = new NodeContextMenuPage(page);
+ *   await menu.addChild('9 Infantry Division', {
+ *     label: '9 Provost Unit',
+ *     unitType: 'Provost Unit',
+ *   });
+ *   await menu.rename('9 Provost Unit', '9 Military Police Unit');
+ *   await menu.deleteNode('9 Military Police Unit');
  */
+
+const MENU_ITEMS = {
+  addChild: 'Add Child Node',
+  rename: 'Rename',
+  configure: 'Configure',
+  delete: 'Delete',
+};
+
 class NodeContextMenuPage extends BasePage {
   constructor(page) {
     super(page);
-    // TODO: Add locators
+    this.canvas = new OrganogramCanvasPage(page);
+
+    // 🧩 Locators
+    this.menu = page.getByRole('menu');
+    this.menuItems = this.menu.getByRole('menuitem');
+
+    // Add child / rename dialog
+    this.dialog = page.locator('mat-dialog-container, [role="dialog"]');
+    this.nodeNameInput = this.dialog.getByLabel('Node Name', { exact: true });
+    this.unitType = new MatSelect(
+      page,
+      this.dialog.getByLabel('Unit Type', { exact: true }),
+      { label: 'Unit Type' },
+    );
+    this.saveButton = this.dialog.getByRole('button', { name: 'Save' });
+    this.cancelButton = this.dialog.getByRole('button', { name: 'Cancel' });
+
+    // Delete confirmation
+    this.confirmYesButton = this.dialog.getByRole('button', {
+      name: /^(yes|confirm|delete)$/i,
+    });
+    this.confirmNoButton = this.dialog.getByRole('button', {
+      name: /^(no|cancel)$/i,
+    });
+
+    // Toast or page alert after a refused change
+    this.notice = page
+      .locator(
+        'simple-snack-bar, .mat-snack-bar-container, .alert, [role="alert"]:not(mat-error)',
+      )
+      .first();
+
+    // Added in this test: label → cleanup entry (see registerForCleanup)
+    this.createdNodes = new Map();
   }
 
   async expectOnPage() {
-    // TODO: Implement expectation
+    await this.waitForElement(this.menu);
+  }
+
+  static cleanupLabel(label) {
+    return `Organogram node "${label}"`;
+  }
+
+  // 🖱️ Menu
+  /**
+   * Right-click a node and wait for its menu
+   * @param {string} label - Exact node label (expanded into view if needed)
+   */
+  async open(label) {
+    const node = await this.canvas.revealNode(label);
+    await node.click({ button: 'right' });
+    await this.expectOnPage();
+  }
+
+  /**
+   * Close the menu without choosing anything
+   */
+  async close() {
+    await this.pressKey('Escape');
+    await this.menu.waitFor({ state: 'hidden', timeout: 5000 });
+  }
+
+  /**
+   * Menu entries offered for a node
+   * @param {string} label
+   * @returns {Promise<string[]>}
+   */
+  async readMenuItems(label) {
+    await this.open(label);
+    const items = await this.menuItems.allInnerTexts();
+    await this.close();
+    return items.map((item) => item.trim());
+  }
+
+  /**
+   * Open the menu on a node and click one entry
+   * @param {string} label - Node
+   * @param {string} item - Menu entry text (MENU_ITEMS)
+   * @private
+   */
+  async choose(label, item) {
+    await this.open(label);
+    await this.menu.getByRole('menuitem', { name: item, exact: true }).click();
+  }
+
+  // 🔨 Node Actions
+  /**
+   * Add a child node (menu → Add Child Node → dialog → Save)
+   * Doesn't throw on a refused save: for duplicate/negative tests
+   * @param {string} parentLabel
+   * @param {object} child - { label, unitType } (unitType optional)
+   * @returns {Promise<{outcome, status, message, fieldErrors}>}
+   */
+  async attemptAddChild(parentLabel, { label, unitType }) {
+    await this.choose(parentLabel, MENU_ITEMS.addChild);
+    await this.fillField(this.nodeNameInput, label);
+    if (unitType) {
+      await this.unitType.select(unitType);
+    }
+
+    const result = await this.submitDialog();
+    if (result.outcome === SAVE_OUTCOMES.SUCCESS) {
+      this.registerForCleanup(label);
+    }
+    return result;
+  }
+
+  /**
+   * Add a child node
+   * @throws Error naming why the app refused it
+   *
+   * USAGE:
+   *   await menu.addChild('Central Workshop', { label: 'Paint Shop' });
+   */
+  async addChild(parentLabel, child) {
+    const result = await this.attemptAddChild(parentLabel, child);
+    if (result.outcome !== SAVE_OUTCOMES.SUCCESS) {
+      throw new Error(
+        describeSaveOutcome(
+          result,
+          `Child node "${child.label}" of "${parentLabel}"`,
+        ),
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Build a structure file's nodes through the UI, parents first
+   * @param {Array} structure - utils/organogram-structure.js
+   *   loadOrganogramStructure() result
+   * @param {object} options - { under } → existing node the file's top
+   *   nodes are added to
+   * @throws Error if a node is refused, or top nodes have nowhere to go
+   *
+   * USAGE:
+   *   await menu.addStructure(structure, { under: '9 Infantry Division' });
+   */
+  async addStructure(structure, { under } = {}) {
+    for (const node of structure) {
+      const parent = node.parent || under;
+      if (!parent) {
+        throw new Error(
+          `❌ Structure node "${node.label}" has no parent: pass { under } with an existing node to add it to`,
+        );
+      }
+      await this.addChild(parent, {
+        label: node.label,
+        unitType: node.unitType,
+      });
+    }
+  }
+
+  /**
+   * Rename a node (menu → Rename → dialog → Save)
+   * Doesn't throw on a refused save
+   * @returns {Promise<{outcome, status, message, fieldErrors}>}
+   */
+  async attemptRename(label, newLabel) {
+    await this.choose(label, MENU_ITEMS.rename);
+    await this.fillField(this.nodeNameInput, newLabel);
+
+    const result = await this.submitDialog();
+    if (result.outcome === SAVE_OUTCOMES.SUCCESS) {
+      this.followRename(label, newLabel);
+    }
+    return result;
+  }
+
+  /**
+   * Rename a node
+   * @throws Error naming why the app refused it
+   */
+  async rename(label, newLabel) {
+    const result = await this.attemptRename(label, newLabel);
+    if (result.outcome !== SAVE_OUTCOMES.SUCCESS) {
+      throw new Error(
+        describeSaveOutcome(result, `Node "${label}" → "${newLabel}"`),
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Delete a node (and everything under it), answering the confirmation
+   * @param {string} label
+   * @param {object} options - { confirm: false } → answer No instead
+   */
+  async deleteNode(label, { confirm = true } = {}) {
+    await this.choose(label, MENU_ITEMS.delete);
+    await this.waitForElement(this.dialog);
+
+    if (!confirm) {
+      await this.confirmNoButton.click();
+      await this.dialog.waitFor({ state: 'hidden', timeout: 10000 });
+      return;
+    }
+
+    await this.confirmYesButton.click();
+    await this.dialog.waitFor({ state: 'hidden', timeout: 10000 });
+    await this.waitForPageLoad();
+    await this.canvas.expectOnPage();
+
+    // Deleted by the test itself: nothing left for teardown
+    this.createdNodes.delete(label);
+    getCleanupRegistry(this.page)?.forget(
+      NodeContextMenuPage.cleanupLabel(label),
+    );
+  }
+
+  /**
+   * Open a node's configuration (menu → Configure)
+   * @param {string} label
+   */
+  async openConfiguration(label) {
+    await this.choose(label, MENU_ITEMS.configure);
+    await this.waitForNavigation((url) => url.pathname.endsWith('/config'));
+    await this.waitForPageLoad();
+  }
+
+  // 💬 Dialog
+  /**
+   * Save the add/rename dialog and classify what happened
+   * @private
+   */
+  async submitDialog() {
+    const response = this.page
+      .waitForResponse(
+        (res) =>
+          res.request().method() === 'POST' &&
+          /organogram/i.test(new URL(res.url()).pathname),
+        { timeout: 10000 },
+      )
+      .catch(() => null); // none: refused before sending (client-side)
+
+    await this.clickButton(this.saveButton);
+    const status = (await response)?.status() ?? null;
+    await this.waitForPageLoad('networkidle');
+    await this.canvas.expectOnPage();
+
+    const fieldErrors = (await this.dialog.locator('mat-error').allInnerTexts())
+      .map((text) => text.trim())
+      .filter(Boolean);
+    return classifySaveOutcome({
+      status,
+      leftForm: !(await this.dialog.isVisible()),
+      message: (await this.notice.isVisible())
+        ? (await this.notice.innerText()).trim()
+        : '',
+      fieldErrors,
+    });
+  }
+
+  /**
+   * Leave the add/rename dialog without saving
+   */
+  async cancelDialog() {
+    await this.cancelButton.click();
+    await this.dialog.waitFor({ state: 'hidden', timeout: 10000 });
+  }
+
+  // 🧹 Cleanup
+  /**
+   * Register added node for deletion at teardown (fixtures only)
+   * Skipped there if the node already went with a deleted ancestor
+   */
+  registerForCleanup(label) {
+    const registry = getCleanupRegistry(this.page);
+    if (!registry) {
+      return;
+    }
+
+    const created = { label };
+    created.entry = registry.register(
+      NodeContextMenuPage.cleanupLabel(label),
+      async (page) => {
+        const menu = new NodeContextMenuPage(page);
+        await menu.canvas.navigate();
+        if (findNode(await menu.canvas.readTree(), created.label)) {
+          await menu.deleteNode(created.label);
+        }
+      },
+    );
+    this.createdNodes.set(label, created);
+  }
+
+  /**
+   * Renamed a node this test added: clean it up under the new name
+   * @private
+   */
+  followRename(label, newLabel) {
+    const created = this.createdNodes.get(label);
+    if (created) {
+      this.createdNodes.delete(label);
+      created.label = newLabel;
+      created.entry.label = NodeContextMenuPage.cleanupLabel(newLabel);
+      this.createdNodes.set(newLabel, created);
+    }
   }
 }
 
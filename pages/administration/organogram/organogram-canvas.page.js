@@ -1,22 +1,493 @@
 // pages/administration/organogram/organogram-canvas.page.js
 const BasePage = require('../../base.page');
+const { exactText } = require('../../../utils/text-match');
+const { findParent, formatTree } = require('../../../utils/organogram-tree');
+const {
+  diffOrganogram,
+  isSameStructure,
+  formatOrganogramDiff,
+} = require('../../../utils/organogram-structure');
+const {
+  SAVE_OUTCOMES,
+  classifySaveOutcome,
+  describeSaveOutcome,
+} = require('../../../utils/save-outcome');
 
 /**
  * Administration → Organogram Canvas Page Object
  * Handles organogram canvas interactions
+ *
+ * 📚 TEACHING NOTES FOR NEW MEMBERS:
+ *
+ * 1. READ THE TREE, NOT THE PIXELS
+ *    readTree() turns the rendered hierarchy into JSON (id, label, unit
+ *    type, children). Ask structure questions with utils/organogram-tree.js.
+ *
+ * 2. COLLAPSED BRANCHES
+ *    The canvas opens with branches collapsed and only renders children
+ *    of expanded nodes. readTree() expands every branch first; a node that
+ *    is still collapsed afterwards fails loudly instead of reading as a
+ *    leaf.
+ *
+ * 3. MARKUP IN ONE PLACE
+ *    NODE_SELECTORS below is the only place that knows the canvas DOM
+ *    (ARIA tree: tree → treeitem → group).
+ *
+ * 4. DRAGGING IS MEASURED, NOT COMPUTED
+ *    moveNode() drags with the real mouse between the cards' current
+ *    bounding boxes, re-measured after every auto-scroll step - so it
+ *    works at any zoom level and for targets outside the visible canvas.
+ *
+ * USAGE:
+ *   await organogram.navigate();
+ *   const tree = await organogram.readTree();
+ *   getNode(tree, 'Army Headquarters').children.length; // 3
+ *   await organogram.moveNode('9 Signal Battalion', 'Central Workshop');
  */
+
+const NODE_SELECTORS = {
+  tree: '[role="tree"]',
+  item: '[role="treeitem"]',
+  card: '.node-card',
+  label: '.node-label',
+  unitType: '.node-unit-type',
+  toggle: '.node-toggle',
+  group: '[role="group"]',
+};
+
+// Drag tuning: pointer travel that starts a drag, pointer steps per move,
+// margin inside the canvas edges where the app auto-scrolls
+const DRAG_START_OFFSET = 12;
+const DRAG_STEPS = 8;
+const AUTO_SCROLL_MARGIN = 40;
+const MAX_AUTO_SCROLL_STEPS = 60;
+// Longest wait for one auto-scroll step (ms)
+const AUTO_SCROLL_WAIT = 1000;
+
 class OrganogramCanvasPage extends BasePage {
   constructor(page) {
     super(page);
-    // TODO: Add locators
+
+    // 🧩 Locators
+    this.canvas = page.locator('.organogram-canvas');
+    this.tree = page.locator(NODE_SELECTORS.tree).first();
+    this.collapsedItems = this.tree.locator(
+      `${NODE_SELECTORS.item}[aria-expanded="false"]`,
+    );
+
+    // Zoom toolbar
+    this.zoomInButton = page.getByRole('button', { name: 'Zoom in' });
+    this.zoomOutButton = page.getByRole('button', { name: 'Zoom out' });
+    this.resetZoomButton = page.getByRole('button', { name: 'Reset zoom' });
+    this.zoomLevel = page.locator('.zoom-level');
+
+    // Toast or page alert (e.g. a refused move)
+    this.notice = page
+      .locator(
+        'simple-snack-bar, .mat-snack-bar-container, .alert, [role="alert"]:not(mat-error)',
+      )
+      .first();
   }
 
+  // 🌐 Navigation
   async navigate() {
-    // TODO: Implement navigation
+    await this.gotoAuthenticated('/administration/organogram');
+    await this.expectOnPage();
   }
 
   async expectOnPage() {
-    // TODO: Implement expectation
+    await this.waitForElement(this.tree);
+  }
+
+  // 🧩 Nodes
+  /**
+   * Node card (the box that is clicked, right-clicked, dragged)
+   * @param {string} label - Exact node label
+   * @returns {Locator}
+   */
+  node(label) {
+    return this.tree.locator(NODE_SELECTORS.card).filter({
+      has: this.page.locator(NODE_SELECTORS.label, {
+        hasText: exactText(label),
+      }),
+    });
+  }
+
+  /**
+   * Tree item of a node (holds aria-expanded and the children group)
+   * @param {string} label
+   * @returns {Locator}
+   */
+  nodeItem(label) {
+    return this.node(label).locator('xpath=..');
+  }
+
+  /**
+   * Make a node's card visible, expanding branches if it is inside a
+   * collapsed one
+   * @param {string} label
+   * @returns {Promise<Locator>} The node card
+   */
+  async revealNode(label) {
+    const node = this.node(label);
+    if (!(await node.isVisible())) {
+      await this.expandAll();
+    }
+    await this.waitForElement(node);
+    return node;
+  }
+
+  /**
+   * Expand one node's branch (no-op for leaves and open branches)
+   * @param {string} label
+   */
+  async expandNode(label) {
+    const item = this.nodeItem(label);
+    if ((await item.getAttribute('aria-expanded')) !== 'false') {
+      return;
+    }
+
+    await this.node(label).locator(NODE_SELECTORS.toggle).click();
+    await this.waitForExpanded(await item.getAttribute('data-node-id'));
+  }
+
+  /**
+   * Expand every collapsed branch, including ones that only appear once
+   * their parent is open
+   * @param {object} options - { maxExpansions } safety limit (default 500)
+   * @throws Error if branches are still collapsed after maxExpansions
+   */
+  async expandAll({ maxExpansions = 500 } = {}) {
+    for (let expanded = 0; ; expanded++) {
+      const remaining = await this.collapsedItems.count();
+      if (remaining === 0) {
+        return;
+      }
+      if (expanded >= maxExpansions) {
+        throw new Error(
+          `❌ Organogram still has ${remaining} collapsed branch(es) after ${maxExpansions} expansions`,
+        );
+      }
+
+      const collapsed = this.collapsedItems.first();
+      const id = await collapsed.getAttribute('data-node-id');
+      await collapsed
+        .locator(`:scope > ${NODE_SELECTORS.card} ${NODE_SELECTORS.toggle}`)
+        .click();
+      await this.waitForExpanded(id);
+    }
+  }
+
+  /**
+   * Wait until a node shows its children (the app may load them first)
+   * @private
+   */
+  async waitForExpanded(id) {
+    await this.tree
+      .locator(
+        `${NODE_SELECTORS.item}[data-node-id="${id}"][aria-expanded="true"]`,
+      )
+      .waitFor({ state: 'attached', timeout: 10000 });
+    await this.waitForPageLoad('networkidle');
+  }
+
+  // 🔍 Zoom
+  /**
+   * Current zoom in percent (100 = actual size)
+   * @returns {Promise<number>}
+   */
+  async readZoom() {
+    return parseInt(await this.getElementText(this.zoomLevel), 10);
+  }
+
+  /**
+   * Zoom in/out with the toolbar until the zoom is percent
+   * @param {number} percent - e.g. 150
+   * @throws Error if the toolbar can't reach it (limits, step size)
+   */
+  async setZoom(percent) {
+    if (percent === 100) {
+      await this.clickButton(this.resetZoomButton);
+    }
+
+    for (let zoom = await this.readZoom(); zoom !== percent;) {
+      await this.clickButton(
+        zoom < percent ? this.zoomInButton : this.zoomOutButton,
+      );
+      const next = await this.readZoom();
+      if (next === zoom || (next - percent) * (zoom - percent) < 0) {
+        throw new Error(
+          `❌ Organogram zoom can't be set to ${percent}% (stopped at ${next}%)`,
+        );
+      }
+      zoom = next;
+    }
+  }
+
+  // 📖 Reading the hierarchy
+  /**
+   * Read the rendered hierarchy as JSON
+   * @param {object} options - { expand: false } → read as shown; collapsed
+   *   nodes then carry collapsed: true and no children
+   * @returns {Promise<object[]>} Root nodes: { id, label, unitType, children }
+   *
+   * USAGE:
+   *   const tree = await organogram.readTree();
+   *   expect(getNode(tree, 'Army Headquarters').children).toHaveLength(3);
+   */
+  async readTree({ expand = true } = {}) {
+    await this.expectOnPage();
+    if (expand) {
+      await this.expandAll();
+    }
+
+    return await this.tree.evaluate((tree, selectors) => {
+      const own = (item, selector) =>
+        item.querySelector(`:scope > ${selectors.card} ${selector}`);
+      const readItem = (item) => {
+        const node = {
+          id: item.dataset.nodeId,
+          label: (own(item, selectors.label)?.textContent || '').trim(),
+          unitType: (own(item, selectors.unitType)?.textContent || '').trim(),
+          children: [],
+        };
+        if (item.getAttribute('aria-expanded') === 'false') {
+          node.collapsed = true;
+          return node;
+        }
+        const group = item.querySelector(`:scope > ${selectors.group}`);
+        if (group) {
+          node.children = Array.from(
+            group.querySelectorAll(`:scope > ${selectors.item}`),
+          ).map(readItem);
+        }
+        return node;
+      };
+
+      return Array.from(
+        tree.querySelectorAll(`:scope > ${selectors.item}`),
+      ).map(readItem);
+    }, NODE_SELECTORS);
+  }
+
+  /**
+   * Label of the top node, whatever the environment calls it
+   * Specs hang the nodes they create under it instead of a seed node
+   * @returns {Promise<string>}
+   * @throws Error if the canvas shows no node
+   */
+  async readRootLabel() {
+    const [root] = await this.readTree({ expand: false });
+    if (!root) {
+      throw new Error('❌ Organogram canvas shows no root node');
+    }
+    return root.label;
+  }
+
+  /**
+   * Read the tree and diff it against a structure file
+   * @param {Array} structure - loadOrganogramStructure() result
+   * @param {object} options - { under } → where the top nodes belong
+   * @returns {Promise<{missing, extra, misplaced}>}
+   *   (utils/organogram-structure.js)
+   */
+  async compareWithStructure(structure, options = {}) {
+    return diffOrganogram(await this.readTree(), structure, options);
+  }
+
+  /**
+   * Assert the organogram contains the structure exactly
+   * @throws Error listing missing, extra and misplaced nodes
+   *
+   * USAGE:
+   *   await organogram.expectMatchesStructure(structure, { under: '9 Infantry Division' });
+   */
+  async expectMatchesStructure(structure, options = {}) {
+    const diff = await this.compareWithStructure(structure, options);
+    if (!isSameStructure(diff)) {
+      throw new Error(formatOrganogramDiff('Organogram', diff));
+    }
+  }
+
+  // 🖐️ Drag and drop
+  /**
+   * Drag a node onto its new parent with the mouse and classify the drop
+   * Doesn't throw on a refused move: for negative tests
+   * @param {string} source - Label of the node to move
+   * @param {string} newParent - Label of the node to drop it on
+   * @returns {Promise<{outcome, status, message, fieldErrors}>}
+   *   (utils/save-outcome.js)
+   *
+   * USAGE:
+   *   const result = await organogram.attemptMove('Army Headquarters', 'Supply Depot');
+   *   expect(result.outcome).toBe(SAVE_OUTCOMES.VALIDATION);
+   */
+  async attemptMove(source, newParent) {
+    const sourceCard = await this.revealNode(source);
+    await this.revealNode(newParent);
+    await sourceCard.scrollIntoViewIfNeeded();
+
+    // The move request (form POST or the app's API call)
+    const response = this.page
+      .waitForResponse(
+        (res) =>
+          res.request().method() !== 'GET' &&
+          /organogram/i.test(new URL(res.url()).pathname),
+        { timeout: 10000 },
+      )
+      .catch(() => null); // none: the app ignored the drop
+
+    const start = await this.centerOf(sourceCard, source);
+    await this.page.mouse.move(start.x, start.y);
+    await this.page.mouse.down();
+    let overTarget = false;
+    try {
+      // Past the drag threshold first, or the app sees a click
+      await this.page.mouse.move(
+        start.x + DRAG_START_OFFSET,
+        start.y + DRAG_START_OFFSET,
+        { steps: 2 },
+      );
+      await this.dragOnto(this.node(newParent), newParent);
+      overTarget = true;
+    } finally {
+      // Never leave the button pressed. Drag failed: release over the
+      // dragged card itself, which drops nothing
+      if (!overTarget) {
+        const box = await sourceCard.boundingBox().catch(() => null);
+        await this.page.mouse.move(
+          box ? box.x + box.width / 2 : start.x,
+          box ? box.y + box.height / 2 : start.y,
+        );
+      }
+      await this.page.mouse.up();
+    }
+
+    const status = (await response)?.status() ?? null;
+    await this.waitForPageLoad('networkidle');
+    await this.expectOnPage();
+
+    return classifySaveOutcome({
+      status,
+      leftForm: status !== null && status < 400,
+      message: (await this.notice.isVisible())
+        ? (await this.notice.innerText()).trim()
+        : '',
+    });
+  }
+
+  /**
+   * Move a node under a new parent by drag and drop and check the result
+   * in the tree read back from the canvas
+   * @returns {Promise<object[]>} The tree after the move (readTree)
+   * @throws Error if the move was refused or the node ended up elsewhere
+   *
+   * USAGE:
+   *   const tree = await organogram.moveNode('9 Signal Battalion', 'Central Workshop');
+   */
+  async moveNode(source, newParent) {
+    const result = await this.attemptMove(source, newParent);
+    if (result.outcome !== SAVE_OUTCOMES.SUCCESS) {
+      throw new Error(
+        describeSaveOutcome(result, `Move of "${source}" under "${newParent}"`),
+      );
+    }
+
+    const tree = await this.readTree();
+    const parent = findParent(tree, source);
+    if (!parent || parent.label !== newParent) {
+      throw new Error(
+        `❌ "${source}" is under "${parent ? parent.label : '(no parent)'}" after the move, expected "${newParent}"\n${formatTree(tree)}`,
+      );
+    }
+    return tree;
+  }
+
+  /**
+   * With the mouse button down: hold the pointer at the canvas edge
+   * facing the target until auto-scroll brings it into view, then move
+   * onto it. Boxes are re-measured each step (scrolling and zoom move them)
+   * @private
+   */
+  async dragOnto(target, label) {
+    let last = null;
+
+    for (let step = 0; step < MAX_AUTO_SCROLL_STEPS; step++) {
+      const view = await this.canvas.boundingBox();
+      const center = await this.centerOf(target, label);
+      const box = await target.boundingBox();
+      const inside = (x, y, margin) =>
+        x >= view.x + margin &&
+        x <= view.x + view.width - margin &&
+        y >= view.y + margin &&
+        y <= view.y + view.height - margin;
+      const stuck = last !== null && last.x === center.x && last.y === center.y;
+
+      // Clear of the auto-scroll margins, or fully shown with the canvas
+      // scrolled as far as it goes: safe to drop
+      if (
+        inside(center.x, center.y, AUTO_SCROLL_MARGIN) ||
+        (stuck &&
+          inside(box.x, box.y, 0) &&
+          inside(box.x + box.width, box.y + box.height, 0))
+      ) {
+        await this.page.mouse.move(center.x, center.y, { steps: DRAG_STEPS });
+        return;
+      }
+      if (stuck) {
+        break;
+      }
+
+      // Edge facing the target; 1px wiggle keeps move-driven scrolling going
+      const clamp = (value, low, high) => Math.min(Math.max(value, low), high);
+      const edge = AUTO_SCROLL_MARGIN / 4;
+      const scrolled = await this.canvas.evaluate((canvas) => ({
+        top: canvas.scrollTop,
+        left: canvas.scrollLeft,
+      }));
+      await this.page.mouse.move(
+        clamp(center.x, view.x + edge, view.x + view.width - edge) + (step % 2),
+        clamp(center.y, view.y + edge, view.y + view.height - edge),
+        { steps: DRAG_STEPS },
+      );
+      await this.waitForAutoScroll(scrolled);
+      last = center;
+    }
+
+    throw new Error(
+      `❌ Drop target "${label}" stayed outside the visible canvas while dragging (auto-scroll didn't reach it)`,
+    );
+  }
+
+  /**
+   * Wait until the canvas has scrolled away from a position. Times out
+   * quietly: at the end of the canvas nothing scrolls, and dragOnto's
+   * stuck check handles that
+   * @private
+   */
+  async waitForAutoScroll(from) {
+    const canvas = await this.canvas.elementHandle();
+    await this.page
+      .waitForFunction(
+        ([element, { top, left }]) =>
+          element.scrollTop !== top || element.scrollLeft !== left,
+        [canvas, from],
+        { timeout: AUTO_SCROLL_WAIT },
+      )
+      .catch(() => {})
+      .finally(() => canvas.dispose());
+  }
+
+  /**
+   * Center of a node card on screen
+   * @private
+   */
+  async centerOf(card, label) {
+    const box = await card.boundingBox();
+    if (!box) {
+      throw new Error(`❌ Node "${label}" is not rendered on the canvas`);
+    }
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
   }
 }
 
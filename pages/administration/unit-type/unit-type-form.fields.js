@@ -0,0 +1,19 @@
+// pages/administration/unit-type/unit-type-form.fields.js
+/**
+ * Field map: test data column → UnitTypeFormPage control
+ * Columns match test-data/schemas/unit-types.schema.js; controls are
+ * UnitTypeFormPage properties. Used by fillFields/readFields
+ * (utils/form-helper.js) - add a row here when the form gets a field.
+ */
+module.exports = {
+  'Name (English)': { control: 'nameEn', type: 'text' },
+  'Name (Bangla)': { control: 'nameBn', type: 'text' },
+  'Short Name (English)': { control: 'shortNameEn', type: 'text' },
+  'Short Name (Bangla)': { control: 'shortNameBn', type: 'text' },
+  Category: { control: 'category', type: 'select' },
+  Service: { control: 'service', type: 'select' },
+  Type: { control: 'type', type: 'radio' },
+  'Is Depot': { control: 'depot', type: 'checkbox' },
+  'Is Workshop': { control: 'workshop', type: 'checkbox' },
+  'Corps Names (English)': { control: 'corps', type: 'chips' },
+};
@@ -1,5 +1,21 @@
 // pages/administration/unit-type/unit-type-form.page.js
 const BasePage = require('../../base.page');
+const UnitTypeListPage = require('./unit-type-list.page');
+const { getCleanupRegistry } = require('../../../utils/cleanup-registry');
+const MatSelect = require('../../components/mat-select.component');
+const MatChipsAutocomplete = require('../../components/mat-chips-autocomplete.component');
+const MatRadioGroup = require('../../components/mat-radio-group.component');
+const MatCheckbox = require('../../components/mat-checkbox.component');
+const UNIT_TYPE_FIELDS = require('./unit-type-form.fields');
+const { fillFields, readFields } = require('../../../utils/form-helper');
+const { diffRecord, formatRecordDiff } = require('../../../utils/record-diff');
+const {
+  SAVE_OUTCOMES,
+  classifySaveOutcome,
+  describeSaveOutcome,
+} = require('../../../utils/save-outcome');
+
+const SAVE_METHODS = ['POST', 'PUT', 'PATCH'];
 
 /**
  * Administration → Unit Type Form Page Object
@@ -29,9 +45,49 @@ class UnitTypeFormPage extends BasePage {
     this.depotCheckbox = page.getByLabel('Depot', { exact: true });
     this.workshopCheckbox = page.getByLabel('Workshop', { exact: true });
 
-    // Buttons
-    this.saveBtn = page.getByRole('button', { name: 'Create' });
-    this.cancelBtn = page.getByRole('button', { name: 'Cancel' });
+    // 🎛️ Controls (pages/components: wait, fail loudly, read back)
+    this.category = new MatSelect(page, this.categorySelect, {
+      label: 'Category',
+    });
+    this.service = new MatSelect(page, this.serviceSelect, {
+      label: 'Services',
+    });
+    this.type = new MatRadioGroup(
+      page,
+      page.locator('mat-radio-group').filter({ has: this.staticRadio }),
+      { label: 'Type' },
+    );
+    this.depot = new MatCheckbox(page, this.depotCheckbox, { label: 'Depot' });
+    this.workshop = new MatCheckbox(page, this.workshopCheckbox, {
+      label: 'Workshop',
+    });
+    this.corps = new MatChipsAutocomplete(page, this.corpsSelect, {
+      label: 'Corps',
+    });
+
+    // Buttons (Create in create mode, Update in edit mode)
+    this.createButton = page.getByRole('button', { name: 'Create' });
+    this.updateButton = page.getByRole('button', { name: 'Update' });
+    this.cancelButton = page.getByRole('button', { name: 'Cancel' });
+    this.backButton = page.getByRole('button', { name: 'Back' }); // view mode
+
+    // Messages
+    this.successMessage = page.locator(
+      'simple-snack-bar, .mat-snack-bar-container',
+    );
+    this.errorMessage = page.locator('mat-error, .mat-error').first();
+    this.fieldErrors = page.locator('mat-error, .mat-error');
+    // Toast or page alert (success or failure), not field errors
+    this.notice = page
+      .locator(
+        'simple-snack-bar, .mat-snack-bar-container, .alert, [role="alert"]:not(mat-error)',
+      )
+      .first();
+
+    // Created in this test: name → cleanup target (see registerForCleanup)
+    this.createdRecords = new Map();
+    // Name the record had when the edit form was opened
+    this.editingName = null;
   }
 
   // 🌐 Navigation
@@ -39,138 +95,120 @@ class UnitTypeFormPage extends BasePage {
     await this.nameEn.waitFor({ state: 'visible', timeout: 10000 });
   }
 
-  // 🔨 Form Filling
-  async fillForm(data) {
-    // Fill text inputs
-    await this.nameEn.fill(data['Name (English)']);
-    await this.nameBn.fill(data['Name (Bengali)']);
-    if (data['Short Name (English)'])
-      await this.shortNameEn.fill(data['Short Name (English)']);
-    if (data['Short Name (Bengali)'])
-      await this.shortNameBn.fill(data['Short Name (Bengali)']);
-
-    // Category select
-    if (data.Category) {
-      await this.categorySelect.click();
-      await this.page
-        .getByRole('option', { name: data.Category.trim(), exact: true })
-        .click();
-    }
-
-    // Services select
-    if (data.service) {
-      await this.serviceSelect.click();
-      await this.page
-        .getByRole('option', { name: data.service.trim(), exact: true })
-        .click();
-    }
-
-    // Type: Static/Field radio
-    const type = (data.Type || '').toLowerCase();
-    if (type === 'static') {
-      await this.staticRadio.check();
-    } else if (type === 'field') {
-      await this.fieldRadio.check();
-    }
-
-    // Service Type: Depot/Workshop checkboxes
-    const isDepot = (data['Depot'] || '').toLowerCase();
-    const isWorkshop = (data['Workshop'] || '').toLowerCase();
-
-    const depotChecked = await this.depotCheckbox.isChecked();
-    const workshopChecked = await this.workshopCheckbox.isChecked();
-
-    if (isDepot !== depotChecked) await this.depotCheckbox.click();
-    if (isWorkshop !== workshopChecked) await this.workshopCheckbox.click();
-
-    // Corps multi-select
-    if (data['Corps']) {
-      const corpsList = data['Corps']
-        .split(',')
-        .map((c) => c.trim())
-        .filter((c) => c);
-
-      for (const corps of corpsList) {
-        await this.corpsSelect.click();
-        await this.corpsSelect.fill(corps);
-        await this.page.waitForTimeout(500);
-        const option = this.page.getByRole('option', {
-          name: corps,
-          exact: false,
-        });
-        if (await option.isVisible()) {
-          await option.click();
-        }
-        await this.corpsSelect.press('Escape');
-      }
-    }
-  }
-
-  async save() {
-    await this.saveBtn.click();
-    await this.page.waitForURL(/\/administration\/unit-types/, {
-      timeout: 15_000,
-    });
-    return true;
+  /**
+   * Wait for form in edit mode and remember the record being edited
+   * Call after UnitTypeListPage.editUnitType(name)
+   */
+  async expectEditMode() {
+    await this.waitForElement(this.updateButton);
+    this.editingName = await this.nameEn.inputValue();
   }
 
-  async cancel() {
-    await this.cancelBtn.click();
+  /**
+   * Wait for read-only view (UnitTypeListPage.viewUnitType)
+   * readForm() works here too
+   * @throws Error if the form can still be edited
+   */
+  async expectViewMode() {
+    await this.waitForElement(this.backButton);
+    if (await this.nameEn.isEditable()) {
+      throw new Error('❌ Expected read-only unit type view, form is editable');
+    }
   }
 
   // 🔨 Core Actions
   /**
-   * Create new unit type
-   * Fills form and submits
+   * Fill form from a data row (create) or partial changes (edit)
+   * Columns go through the field map (unit-type-form.fields.js); columns
+   * missing from the data are left as they are
+   * @throws Error on columns the field map doesn't know
    */
   async fillForm(unitTypeData) {
-    await this.fillBasicInfo(unitTypeData);
-    await this.selectCategory(unitTypeData['Category']);
-    await this.selectService(unitTypeData['Service']);
-    await this.selectType(unitTypeData['Type']);
-    await this.setCheckboxes(unitTypeData);
-    await this.selectCorps(unitTypeData['Corps Names (English)']);
+    await fillFields(this, unitTypeData, UNIT_TYPE_FIELDS, 'Unit type form');
   }
 
   /**
-   * Submit form in create mode
-   * ✅ Uses smart wait instead of waitForTimeout(2000)
+   * Click Create/Update and classify what happened
+   * Doesn't throw on a refused save: for duplicate/negative tests
+   * @returns {Promise<{outcome, status, message, fieldErrors}>}
+   *   outcome: 'success' | 'validation' | 'conflict' | 'error'
+   *   (utils/save-outcome.js)
+   *
+   * USAGE:
+   *   const result = await unitTypeForm.attemptSave();
+   *   expect(result.outcome).toBe(SAVE_OUTCOMES.CONFLICT);
    */
-  async create() {
-    await this.clickButton(this.createButton);
-
-    // ✅ Wait for navigation away from create page
-    await this.waitForNavigation(
-      (url) =>
-        url.includes('/administration/unit-types') && !url.includes('/create'),
-      10000,
+  async attemptSave() {
+    const isCreateMode = await this.elementExists(this.createButton);
+    const name = await this.nameEn.inputValue();
+
+    // The save request itself (form POST or the app's API call)
+    const response = this.page
+      .waitForResponse(
+        (res) =>
+          SAVE_METHODS.includes(res.request().method()) &&
+          /unit-?types?/i.test(new URL(res.url()).pathname),
+        { timeout: 10000 },
+      )
+      .catch(() => null); // none: refused before sending (client-side)
+
+    await this.clickButton(
+      isCreateMode ? this.createButton : this.updateButton,
     );
+    const status = (await response)?.status() ?? null;
+    await this.waitForPageLoad('networkidle');
+    if (status !== null && status < 400) {
+      // Accepted: give the app time to route back to the list
+      await this.nameEn
+        .waitFor({ state: 'hidden', timeout: 10000 })
+        .catch(() => {});
+    }
+
+    const result = classifySaveOutcome({
+      status,
+      leftForm: !(await this.nameEn.isVisible()),
+      message: await this.readNotice(),
+      fieldErrors: await this.readFieldErrors(),
+    });
 
-    return true; // Success if we reach here
+    if (result.outcome === SAVE_OUTCOMES.SUCCESS) {
+      if (isCreateMode) {
+        this.registerForCleanup(name);
+      } else {
+        this.followRename(name);
+        this.editingName = null;
+      }
+    }
+    return result;
   }
 
   /**
-   * Submit form in edit mode
+   * Save (Create or Update, whichever button is shown)
+   * @returns {Promise<object>} attemptSave result
+   * @throws Error naming validation failure / server conflict / error,
+   *   with status and messages
    */
-  async update() {
-    await this.clickButton(this.updateButton);
-
-    // ✅ Wait for navigation away from edit page
-    await this.waitForNavigation(
-      (url) =>
-        url.includes('/administration/unit-types') && !url.includes('/edit'),
-      10000,
-    );
-
-    return true; // Success if we reach here
+  async save() {
+    const result = await this.attemptSave();
+    if (result.outcome !== SAVE_OUTCOMES.SUCCESS) {
+      const name = this.editingName || (await this.nameEn.inputValue());
+      throw new Error(describeSaveOutcome(result, `Unit type "${name}"`));
+    }
+    return result;
   }
 
   /**
-   * Save (either create or update based on button visible)
+   * Renamed a record this test created: clean it up under the new name
+   * @private
    */
-  async save() {
-    const isCreateMode = await this.elementExists(this.createButton);
-    return isCreateMode ? await this.create() : await this.update();
+  followRename(name) {
+    const created = this.createdRecords.get(this.editingName);
+    if (created && name !== this.editingName) {
+      this.createdRecords.delete(this.editingName);
+      created.name = name;
+      created.entry.label = UnitTypeListPage.cleanupLabel(name);
+      this.createdRecords.set(name, created);
+    }
   }
 
   /**
@@ -181,74 +219,112 @@ class UnitTypeFormPage extends BasePage {
     await this.waitForPageLoad('networkidle');
   }
 
-  // 🧪 Reusable sub-actions
-  async fillBasicInfo(data) {
-    if (data['Name (English)']) {
-      await this.nameEnglishInput.fill(data['Name (English)']);
-    }
+  // 📖 Reading back
+  /**
+   * Read current form state, keyed like the data rows (field map):
+   * booleans for checkboxes, array for corps
+   * @returns {Promise<object>}
+   *
+   * USAGE:
+   *   await unitTypeList.editUnitType(name);
+   *   await unitTypeForm.expectEditMode();
+   *   const current = await unitTypeForm.readForm();
+   */
+  async readForm() {
+    return await readFields(this, UNIT_TYPE_FIELDS);
+  }
 
-    if (data['Name (Bangla)']) {
-      await this.nameBanglaInput.fill(data['Name (Bangla)']);
-    }
+  /**
+   * Reopen saved unit type and diff it against the data row
+   * Leaves the edit form with Cancel, so nothing is changed
+   * @param {object} row - Data row the record was created from
+   * @returns {Promise<Array>} Differences (see utils/record-diff.js)
+   *
+   * USAGE:
+   *   const diff = await unitTypeForm.compareWithSaved(unitType);
+   */
+  async compareWithSaved(row) {
+    const listPage = new UnitTypeListPage(this.page);
+    await listPage.navigate();
+    await listPage.editUnitType(row['Name (English)']);
+    await this.expectEditMode();
 
-    if (data['Short Name (English)']) {
-      await this.shortNameEnglishInput.fill(data['Short Name (English)']);
-    }
+    const saved = await this.readForm();
+    await this.cancel();
+    this.editingName = null;
 
-    if (data['Short Name (Bangla)']) {
-      await this.shortNameBanglaInput.fill(data['Short Name (Bangla)']);
-    }
+    return diffRecord(row, saved);
   }
 
-  async selectCategory(category) {
-    if (category) {
-      await this.categorySelect.click();
-      await this.page.getByRole('option', { name: category }).click();
+  /**
+   * Assert saved unit type matches the data row field by field
+   * @param {object} row - Data row the record was created from
+   * @throws Error listing every field that was not saved as given
+   *
+   * USAGE:
+   *   await unitTypeForm.fillForm(unitType);
+   *   await unitTypeForm.save();
+   *   await unitTypeForm.expectSavedAs(unitType);
+   */
+  async expectSavedAs(row) {
+    const diff = await this.compareWithSaved(row);
+    if (diff.length > 0) {
+      throw new Error(
+        formatRecordDiff(`Unit type "${row['Name (English)']}"`, diff),
+      );
     }
   }
 
-  async selectService(service) {
-    if (service) {
-      await this.serviceSelect.click();
-      await this.page.getByRole('option', { name: service }).click();
+  /**
+   * Register created unit type for deletion at teardown (fixtures only)
+   * Deletes under its latest name: attemptSave() follows renames (followRename)
+   */
+  registerForCleanup(name) {
+    const registry = getCleanupRegistry(this.page);
+    if (!registry) {
+      return;
     }
-  }
 
-  async selectType(type) {
-    if (type === 'Static') {
-      await this.staticRadio.check();
-    } else if (type === 'Field') {
-      await this.fieldRadio.check();
-    }
+    const record = { name };
+    record.entry = registry.register(
+      UnitTypeListPage.cleanupLabel(name),
+      async (page) => {
+        const listPage = new UnitTypeListPage(page);
+        await listPage.navigate();
+        await listPage.deleteUnitType(record.name);
+      },
+    );
+    this.createdRecords.set(name, record);
   }
 
-  async setCheckboxes(data) {
-    if (data['Is Workshop'] === 'Yes') {
-      await this.workshopCheckbox.check();
-    }
-
-    if (data['Is Depot'] === 'Yes') {
-      await this.depotCheckbox.check();
-    }
+  // 🔁 Reset / Helpers
+  async clearForm() {
+    await this.nameEn.clear();
+    await this.nameBn.clear();
+    await this.shortNameEn.clear();
+    await this.shortNameBn.clear();
   }
 
-  async selectCorps(corps) {
-    if (corps) {
-      await this.corpsSelect.click();
-      await this.corpsSelect.fill(corps.substring(0, 3));
-      await this.page.getByRole('option', { name: corps }).click();
+  // ⚠️ Message Handling
+  /**
+   * Toast/alert text ('' if none shown)
+   */
+  async readNotice() {
+    if (!(await this.notice.isVisible())) {
+      return '';
     }
+    return (await this.notice.innerText()).trim();
   }
 
-  // 🔁 Reset / Helpers
-  async clearForm() {
-    await this.nameEnglishInput.clear();
-    await this.nameBanglaInput.clear();
-    await this.shortNameEnglishInput.clear();
-    await this.shortNameBanglaInput.clear();
+  /**
+   * Texts of all visible field errors
+   * @returns {Promise<string[]>}
+   */
+  async readFieldErrors() {
+    const texts = await this.fieldErrors.allInnerTexts();
+    return texts.map((text) => text.trim()).filter(Boolean);
   }
 
-  // ⚠️ Message Handling
   async waitForSuccess() {
     await this.successMessage.waitFor({ state: 'visible', timeout: 5000 });
   }
@@ -1,5 +1,31 @@
 // pages/administration/unit-type/unit-type-list.page.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const BasePage = require('../../base.page');
+const MatTable = require('../../components/mat-table.component');
+const { getCleanupRegistry } = require('../../../utils/cleanup-registry');
+const { loadTestData } = require('../../../utils/data-loader');
+const { diffRecord, formatRecordDiff } = require('../../../utils/record-diff');
+
+// Grid/export headers named differently from the test data columns
+const DATA_COLUMNS = {
+  'Name (Bengali)': 'Name (Bangla)',
+  'Short Name (Bengali)': 'Short Name (Bangla)',
+};
+
+/**
+ * Grid/export row keyed like the test data (for diffRecord)
+ * @private
+ */
+function toDataRow(row) {
+  return Object.fromEntries(
+    Object.entries(row).map(([column, value]) => [
+      DATA_COLUMNS[column] || column,
+      value,
+    ]),
+  );
+}
 
 /**
  * Administration → Unit Type List Page Object
@@ -12,15 +38,24 @@ class UnitTypeListPage extends BasePage {
     // 🧩 Locators (semantic)
     this.createButton = page.getByRole('button', { name: 'Create Unit Type' });
     this.searchInput = page.getByRole('combobox', { name: 'Search' });
-    // Locator for a row containing specific unit type name
-    this.unitTypeRowByName = (name) =>
-      page.locator(`.mat-row:has-text("${name}")`).first();
+    this.exportButton = page.getByRole('button', { name: /^export/i });
+
+    // Grid (columns by header name, exact lookups, sort, paginator)
+    this.table = new MatTable(page);
+
+    // Confirmation dialog (delete, active toggle)
+    this.confirmDialog = page.locator('mat-dialog-container, [role="dialog"]');
+    this.confirmYesButton = this.confirmDialog.getByRole('button', {
+      name: /^(yes|confirm|delete)$/i,
+    });
+    this.confirmNoButton = this.confirmDialog.getByRole('button', {
+      name: /^(no|cancel)$/i,
+    });
   }
 
   // 🌐 Navigation
   async navigate() {
-    await this.page.goto('/administration/unit-types');
-    await this.page.waitForLoadState('networkidle');
+    await this.gotoAuthenticated('/administration/unit-types');
   }
 
   async expectOnPage() {
@@ -41,8 +76,239 @@ class UnitTypeListPage extends BasePage {
     await this.page.waitForTimeout(800);
   }
 
+  /**
+   * Whether unit type is in the grid, on any page
+   */
   async isUnitTypeVisible(name) {
-    return await this.unitTypeRowByName(name).isVisible({ timeout: 5000 });
+    return (await this.getUnitTypeRow(name)) !== null;
+  }
+
+  /**
+   * Read unit type's grid row as { column: text }, on any page
+   * @returns {Promise<object|null>}
+   */
+  async getUnitTypeRow(name) {
+    return await this.table.findRowAcrossPages('Name (English)', name);
+  }
+
+  /**
+   * Every row of the (searched) grid, all pages
+   * @returns {Promise<object[]>}
+   */
+  async readAllUnitTypes() {
+    return await this.table.readAllRows();
+  }
+
+  /**
+   * Number of unit types matching the current search (all pages)
+   */
+  async countUnitTypes() {
+    return await this.table.totalCount();
+  }
+
+  /**
+   * Number of unit types whose grid column equals value exactly
+   * Searches for value first (search covers the name columns)
+   * @param {string} column - Grid column, e.g. 'Short Name (English)'
+   * @param {string} value
+   * @returns {Promise<number>}
+   *
+   * USAGE:
+   *   expect(await unitTypeList.countUnitTypesWith('Name (English)', name)).toBe(0);
+   */
+  async countUnitTypesWith(column, value) {
+    await this.search(value);
+    const rows = await this.readAllUnitTypes();
+    return rows.filter((row) => (row[column] || '').trim() === value.trim())
+      .length;
+  }
+
+  // 🔤 Shown as saved (round-trip checks, Bengali fidelity)
+  /**
+   * Assert unit type's grid row shows the data row's values
+   * Bengali columns compared after normalization, differences named
+   * (lost conjunct, ZWJ removed, mojibake - utils/bengali-text.js)
+   * @param {object} row - Data row the record was created from
+   * @throws Error if the row is missing or any shown column differs
+   */
+  async expectShownInGrid(row) {
+    const name = row['Name (English)'];
+    await this.search(name);
+
+    const shown = await this.getUnitTypeRow(name);
+    if (!shown) {
+      throw new Error(`❌ Unit type "${name}" is not in the grid`);
+    }
+
+    const diff = diffRecord(row, toDataRow(shown));
+    if (diff.length > 0) {
+      throw new Error(formatRecordDiff(`Unit type "${name}" (grid)`, diff));
+    }
+  }
+
+  /**
+   * Click Export and read the downloaded file (CSV or Excel)
+   * Exports what the grid currently shows (search applied)
+   * @param {object} options - { dir } → folder to save the file in, e.g.
+   *   testInfo.outputPath(); default: a new temp folder
+   * @returns {Promise<object[]>} Rows keyed like the test data
+   */
+  async downloadExport({ dir } = {}) {
+    const [download] = await Promise.all([
+      this.page.waitForEvent('download'),
+      this.exportButton.click(),
+    ]);
+
+    // Own folder per download: nothing shared between workers. Keeps the
+    // extension the loader reads
+    const folder =
+      dir || fs.mkdtempSync(path.join(os.tmpdir(), 'unit-type-export-'));
+    const file = path.join(folder, download.suggestedFilename());
+    await download.saveAs(file);
+    return loadTestData(file).map(toDataRow);
+  }
+
+  /**
+   * Assert the export has the unit type with the data row's values
+   * @param {object} row - Data row the record was created from
+   * @param {object} options - { dir } → where the file is saved
+   *   (see downloadExport)
+   * @throws Error if the record is missing or any exported column differs
+   */
+  async expectExportedAs(row, options = {}) {
+    const name = row['Name (English)'];
+    await this.search(name);
+
+    const exported = (await this.downloadExport(options)).find(
+      (record) => (record['Name (English)'] || '').trim() === name.trim(),
+    );
+    if (!exported) {
+      throw new Error(`❌ Unit type "${name}" is not in the export`);
+    }
+
+    const diff = diffRecord(row, exported);
+    if (diff.length > 0) {
+      throw new Error(formatRecordDiff(`Unit type "${name}" (export)`, diff));
+    }
+  }
+
+  // 🗑️ Row actions
+  /**
+   * Label the form registers created unit types under for cleanup
+   * (lets deleteUnitType forget records the test deleted itself)
+   */
+  static cleanupLabel(name) {
+    return `Unit type "${name}"`;
+  }
+
+  /**
+   * Row whose Name (English) equals name exactly, current page
+   * ("Army" doesn't match "Army Headquarters")
+   * @returns {Promise<Locator>}
+   */
+  async rowByExactName(name) {
+    return await this.table.rowByColumn('Name (English)', name);
+  }
+
+  /**
+   * Search for unit type and click one of its row buttons
+   * @param {string} name - Exact Name (English)
+   * @param {string} action - Button label: 'View', 'Edit', 'Delete'
+   */
+  async clickRowAction(name, action) {
+    await this.search(name);
+
+    const row = await this.table.goToRow('Name (English)', name);
+    await row.getByRole('button', { name: action }).click();
+  }
+
+  /**
+   * Open unit type read-only (row button 'View')
+   * Follow with UnitTypeFormPage.expectViewMode()
+   */
+  async viewUnitType(name) {
+    await this.clickRowAction(name, 'View');
+    await this.waitForNavigation((url) => url.pathname.endsWith('/view'));
+  }
+
+  /**
+   * Open unit type for editing (row button 'Edit')
+   * Follow with UnitTypeFormPage.expectEditMode()
+   */
+  async editUnitType(name) {
+    await this.clickRowAction(name, 'Edit');
+    await this.waitForNavigation((url) => url.pathname.endsWith('/edit'));
+  }
+
+  /**
+   * Delete unit type by exact name and confirm the dialog
+   * Used by the cleanup registry (utils/cleanup-registry.js)
+   */
+  async deleteUnitType(name) {
+    await this.clickRowAction(name, 'Delete');
+    await this.confirmDialogAction();
+
+    // Deleted by the test itself: nothing left for teardown
+    getCleanupRegistry(this.page)?.forget(UnitTypeListPage.cleanupLabel(name));
+  }
+
+  /**
+   * Open delete dialog, then answer No - the row must stay
+   */
+  async cancelDeleteUnitType(name) {
+    await this.clickRowAction(name, 'Delete');
+    await this.cancelDialogAction();
+  }
+
+  // 🔘 Active / inactive
+  /**
+   * Active toggle of a row (not every grid has one)
+   */
+  async activeToggle(name) {
+    return (await this.rowByExactName(name)).getByRole('switch');
+  }
+
+  async hasActiveToggle(name) {
+    await this.search(name);
+    await this.table.goToRow('Name (English)', name);
+    return await this.elementExists(await this.activeToggle(name));
+  }
+
+  async isUnitTypeActive(name) {
+    await this.search(name);
+    await this.table.goToRow('Name (English)', name);
+    return await (await this.activeToggle(name)).isChecked();
+  }
+
+  /**
+   * Switch unit type active/inactive, answering the confirmation
+   * @param {string} name
+   * @param {boolean} active - Wanted state
+   * @param {object} options - { confirm: false } → answer No instead
+   */
+  async setUnitTypeActive(name, active, { confirm = true } = {}) {
+    if ((await this.isUnitTypeActive(name)) === active) {
+      return;
+    }
+
+    await (await this.activeToggle(name)).click();
+    if (confirm) {
+      await this.confirmDialogAction();
+    } else {
+      await this.cancelDialogAction();
+    }
+  }
+
+  // 💬 Confirmation dialog
+  async confirmDialogAction() {
+    await this.confirmYesButton.click();
+    await this.confirmDialog.waitFor({ state: 'hidden', timeout: 10000 });
+    await this.waitForPageLoad();
+  }
+
+  async cancelDialogAction() {
+    await this.confirmNoButton.click();
+    await this.confirmDialog.waitFor({ state: 'hidden', timeout: 10000 });
   }
 }
 
@@ -25,6 +25,8 @@
  *    Example: Error message shows WHICH selector failed + screenshot taken
  */
 
+const { reauthenticate } = require('../utils/auth-session');
+
 class BasePage {
   constructor(page) {
     this.page = page;
@@ -92,6 +94,45 @@ class BasePage {
     await this.page.waitForLoadState(state);
   }
 
+  /**
+   * Check if app bounced the page to the login screen
+   * @returns {boolean}
+   */
+  isOnLoginPage() {
+    return new URL(this.page.url()).pathname.endsWith('/login');
+  }
+
+  /**
+   * Navigate to a protected route, recovering from an expired session
+   * If the app redirects to /login: logs in again (utils/auth-session)
+   * and retries the navigation once
+   * @param {string} url - Route to open (relative to baseURL)
+   * @param {string} state - Load state to wait for (default: networkidle)
+   * @throws Error if still on /login after re-authenticating
+   *
+   * USAGE:
+   *   await this.gotoAuthenticated('/administration/unit-types');
+   */
+  async gotoAuthenticated(url, state = 'networkidle') {
+    await this.page.goto(url);
+    await this.waitForPageLoad(state);
+
+    if (!this.isOnLoginPage()) {
+      return;
+    }
+
+    await reauthenticate(this.page, url);
+
+    await this.page.goto(url);
+    await this.waitForPageLoad(state);
+
+    if (this.isOnLoginPage()) {
+      throw new Error(
+        `❌ Auth failed: still redirected to /login after re-authenticating (opening "${url}")`,
+      );
+    }
+  }
+
   // ============================================
   // 2️⃣ SMART INTERACTIONS - Reliable user actions
   // ============================================
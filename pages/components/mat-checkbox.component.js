@@ -0,0 +1,56 @@
+// pages/components/mat-checkbox.component.js
+const BasePage = require('../base.page');
+const { setChecked } = require('../../utils/form-helper');
+
+/**
+ * MatCheckbox - Angular Material checkbox
+ *
+ * USAGE:
+ *   const depot = new MatCheckbox(page, page.getByLabel('Depot', { exact: true }), {
+ *     label: 'Depot',
+ *   });
+ *   await depot.set(true);
+ *   await depot.read(); // true
+ *
+ * NEW MEMBERS:
+ * - set() only clicks when the state differs (utils/form-helper.js),
+ *   then checks the new state - a click swallowed by an overlay fails
+ *   here, not three steps later
+ */
+
+class MatCheckbox extends BasePage {
+  /**
+   * @param {Page} page
+   * @param {Locator} checkbox - The checkbox input (e.g. getByLabel)
+   * @param {object} options - { label } name used in error messages
+   */
+  constructor(page, checkbox, options = {}) {
+    super(page);
+    this.checkbox = checkbox;
+    this.label = options.label || 'checkbox';
+  }
+
+  /**
+   * @param {boolean} checked - Wanted state
+   * @throws Error if the checkbox is missing or didn't change
+   */
+  async set(checked) {
+    await this.waitForElement(this.checkbox);
+    await setChecked(this.checkbox, checked);
+
+    if ((await this.read()) !== checked) {
+      throw new Error(
+        `❌ ${this.label} is still ${checked ? 'unchecked' : 'checked'} after clicking it`,
+      );
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async read() {
+    return await this.checkbox.isChecked();
+  }
+}
+
+module.exports = MatCheckbox;
@@ -0,0 +1,156 @@
+// pages/components/mat-chips-autocomplete.component.js
+const BasePage = require('../base.page');
+const { exactText } = require('../../utils/text-match');
+
+/**
+ * MatChipsAutocomplete - Autocomplete input that adds mat-chips
+ *
+ * 📚 TEACHING NOTES FOR NEW MEMBERS:
+ *
+ * 1. HOW IT WORKS
+ *    Type into the input → options appear in the CDK overlay → clicking
+ *    one adds a chip. Each chip has a remove button.
+ *
+ * 2. NO FIXED SLEEPS
+ *    add() waits for the exact option to appear, then for the chip.
+ *    Old code: fill → waitForTimeout(500) → click only if visible
+ *    (silently skipped unknown corps).
+ *
+ * 3. SET, DON'T APPEND
+ *    set(names) removes chips that shouldn't be there, so it works for
+ *    edit forms too.
+ *
+ * USAGE:
+ *   const corps = new MatChipsAutocomplete(page, page.getByLabel('Select corps'), {
+ *     label: 'Corps',
+ *   });
+ *   await corps.set(['Artillery', 'Signals']);
+ *   await corps.read(); // ['Artillery', 'Signals']
+ */
+
+class MatChipsAutocomplete extends BasePage {
+  /**
+   * @param {Page} page
+   * @param {Locator} input - The autocomplete input
+   * @param {object} options
+   *   label → name used in error messages
+   *   chips → chip locator (default: chips in the input's mat-form-field)
+   */
+  constructor(page, input, options = {}) {
+    super(page);
+    this.input = input;
+    this.label = options.label || 'autocomplete';
+
+    // 🧩 Locators
+    this.chips =
+      options.chips ||
+      input
+        .locator('xpath=ancestor::mat-form-field[1]')
+        .locator('mat-chip, .mat-chip');
+    this.panel = page.locator('.mat-autocomplete-panel').first();
+    this.options = this.panel.getByRole('option');
+  }
+
+  /**
+   * Chip showing name (by read() position: the chip's own text also
+   * holds the remove icon's ligature, e.g. "Artillery cancel")
+   * @returns {Promise<Locator|null>}
+   */
+  async chip(name) {
+    const index = (await this.read()).indexOf(name);
+    return index === -1 ? null : this.chips.nth(index);
+  }
+
+  // ✏️ Set
+  /**
+   * Add one chip through the autocomplete
+   * @param {string} name - Exact option text
+   * @throws Error if no such option is offered
+   */
+  async add(name) {
+    await this.input.click();
+    await this.input.fill(name);
+
+    const option = this.options.filter({ hasText: exactText(name) }).first();
+    try {
+      await option.waitFor({ state: 'visible', timeout: this.shortTimeout });
+    } catch {
+      const offered = (await this.options.allInnerTexts()).map((t) => t.trim());
+      await this.input.fill('');
+      await this.page.keyboard.press('Escape');
+      throw new Error(
+        `❌ "${name}" not offered by ${this.label}. ` +
+          `Options for "${name}": ${offered.join(', ') || '(none)'}`,
+      );
+    }
+
+    const before = await this.chips.count();
+    await option.click();
+    await this.waitForElement(this.chips.nth(before));
+
+    if (!(await this.read()).includes(name)) {
+      throw new Error(`❌ Picked "${name}" but no such chip in ${this.label}`);
+    }
+  }
+
+  /**
+   * Remove one chip
+   * @throws Error if there is no such chip
+   */
+  async remove(name) {
+    const chip = await this.chip(name);
+    if (!chip) {
+      throw new Error(
+        `❌ No "${name}" chip in ${this.label}. Chips: ${(await this.read()).join(', ')}`,
+      );
+    }
+
+    const before = await this.chips.count();
+    await chip.locator('.mat-chip-remove, [matchipremove]').click();
+    await this.chips
+      .nth(before - 1)
+      .waitFor({ state: 'detached', timeout: this.defaultTimeout });
+  }
+
+  /**
+   * Make the chips exactly these names
+   * @param {string[]} names
+   * @throws Error if the chips differ afterwards
+   */
+  async set(names) {
+    const current = await this.read();
+
+    for (const name of current.filter((c) => !names.includes(c))) {
+      await this.remove(name);
+    }
+    for (const name of names.filter((n) => !current.includes(n))) {
+      await this.add(name);
+    }
+
+    const actual = await this.read();
+    if ([...actual].sort().join('|') !== [...names].sort().join('|')) {
+      throw new Error(
+        `❌ ${this.label} has [${actual.join(', ')}] after setting [${names.join(', ')}]`,
+      );
+    }
+  }
+
+  // 📖 Read
+  /**
+   * Chip texts, remove icon left out
+   * @returns {Promise<string[]>}
+   */
+  async read() {
+    return await this.chips.evaluateAll((chips) =>
+      chips.map((chip) => {
+        const copy = chip.cloneNode(true);
+        copy
+          .querySelectorAll('.mat-chip-remove, mat-icon, button, input')
+          .forEach((node) => node.remove());
+        return copy.textContent.trim();
+      }),
+    );
+  }
+}
+
+module.exports = MatChipsAutocomplete;
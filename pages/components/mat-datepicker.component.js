@@ -0,0 +1,120 @@
+// pages/components/mat-datepicker.component.js
+const BasePage = require('../base.page');
+
+/**
+ * MatDatepicker - Input with Angular Material datepicker
+ *
+ * 📚 TEACHING NOTES FOR NEW MEMBERS:
+ *
+ * 1. TYPE, DON'T CLICK THE CALENDAR
+ *    mat-datepicker parses what is typed into its input on blur. Typing
+ *    the date is faster and doesn't depend on which month the calendar
+ *    opens on.
+ *
+ * 2. FORMAT
+ *    The app's display format is DD/MM/YYYY. Pass { format } if a form
+ *    uses another one (tokens: DD, MM, YYYY).
+ *
+ * 3. READ BACK
+ *    set() checks the input afterwards: a date the app rejected (invalid,
+ *    outside min/max) comes back empty or as a mat-error and throws.
+ *
+ * USAGE:
+ *   const from = new MatDatepicker(page, page.getByLabel('Effective From'), {
+ *     label: 'Effective From',
+ *   });
+ *   await from.set('2024-07-01');       // ISO string or Date
+ *   await from.read();                  // "01/07/2024"
+ */
+
+const DEFAULT_FORMAT = 'DD/MM/YYYY';
+
+/**
+ * Format date with DD, MM, YYYY tokens
+ * @private
+ */
+function formatDate(date, format) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return format
+    .replace('YYYY', String(date.getFullYear()))
+    .replace('MM', pad(date.getMonth() + 1))
+    .replace('DD', pad(date.getDate()));
+}
+
+/**
+ * Accept Date, 'YYYY-MM-DD' or an already formatted string
+ * @private
+ */
+function toDisplayText(value, format) {
+  if (value instanceof Date) {
+    return formatDate(value, format);
+  }
+
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const [, year, month, day] = iso.map(Number);
+    return formatDate(new Date(year, month - 1, day), format);
+  }
+  return String(value).trim();
+}
+
+class MatDatepicker extends BasePage {
+  /**
+   * @param {Page} page
+   * @param {Locator} input - The matDatepicker input
+   * @param {object} options
+   *   label  → name used in error messages
+   *   format → display format (default: DD/MM/YYYY)
+   */
+  constructor(page, input, options = {}) {
+    super(page);
+    this.input = input;
+    this.label = options.label || 'date';
+    this.format = options.format || DEFAULT_FORMAT;
+
+    // 🧩 Locators
+    this.formField = input.locator('xpath=ancestor::mat-form-field[1]');
+    this.error = this.formField.locator('mat-error, .mat-error');
+  }
+
+  /**
+   * Type date and leave the field
+   * @param {Date|string} value - Date, 'YYYY-MM-DD' or display text
+   * @throws Error if the app rejects the date
+   */
+  async set(value) {
+    const text = toDisplayText(value, this.format);
+
+    await this.waitForElement(this.input);
+    await this.input.fill(text);
+    await this.input.press('Tab');
+
+    if (await this.error.isVisible()) {
+      throw new Error(
+        `❌ ${this.label} rejected "${text}": ${(await this.error.innerText()).trim()}`,
+      );
+    }
+
+    const actual = await this.read();
+    if (actual !== text) {
+      throw new Error(
+        `❌ ${this.label} shows "${actual}" after typing "${text}"`,
+      );
+    }
+  }
+
+  async clear() {
+    await this.input.fill('');
+    await this.input.press('Tab');
+  }
+
+  /**
+   * Displayed date text ('' if empty)
+   * @returns {Promise<string>}
+   */
+  async read() {
+    return (await this.input.inputValue()).trim();
+  }
+}
+
+module.exports = MatDatepicker;
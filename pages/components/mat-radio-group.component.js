@@ -0,0 +1,86 @@
+// pages/components/mat-radio-group.component.js
+const BasePage = require('../base.page');
+
+/**
+ * MatRadioGroup - Angular Material radio group
+ *
+ * USAGE:
+ *   const type = new MatRadioGroup(page, page.getByRole('radiogroup', { name: 'Type' }), {
+ *     label: 'Type',
+ *   });
+ *   await type.select('Field');
+ *   await type.read(); // "Field"
+ *
+ * NEW MEMBERS:
+ * - Radios are found by their label text inside the group, so two groups
+ *   with the same labels (Yes/No) don't clash
+ * - Unknown labels throw with the real choices
+ */
+
+class MatRadioGroup extends BasePage {
+  /**
+   * @param {Page} page
+   * @param {Locator} group - The mat-radio-group (role radiogroup)
+   * @param {object} options - { label } name used in error messages
+   */
+  constructor(page, group, options = {}) {
+    super(page);
+    this.group = group;
+    this.label = options.label || 'radio group';
+    this.radios = group.getByRole('radio');
+  }
+
+  /**
+   * Label texts of every radio
+   * @returns {Promise<string[]>}
+   */
+  async availableOptions() {
+    await this.waitForElement(this.group);
+    return await this.radios.evaluateAll((radios) =>
+      radios.map((radio) =>
+        (
+          radio.labels?.[0]?.innerText ||
+          radio.getAttribute('aria-label') ||
+          radio.value
+        ).trim(),
+      ),
+    );
+  }
+
+  /**
+   * Check the radio with this label
+   * @param {string} label - Exact label text
+   * @throws Error if there is no such radio or it isn't checked afterwards
+   */
+  async select(label) {
+    const radio = this.group.getByLabel(label, { exact: true });
+
+    if ((await radio.count()) === 0) {
+      throw new Error(
+        `❌ No "${label}" in ${this.label}. Options: ${(await this.availableOptions()).join(', ')}`,
+      );
+    }
+
+    await radio.check();
+    const actual = await this.read();
+    if (actual !== label) {
+      throw new Error(
+        `❌ ${this.label} is "${actual}" after selecting "${label}"`,
+      );
+    }
+  }
+
+  /**
+   * Label of the checked radio ('' if none)
+   * @returns {Promise<string>}
+   */
+  async read() {
+    const labels = await this.availableOptions();
+    const checked = await this.radios.evaluateAll((radios) =>
+      radios.findIndex((radio) => radio.checked),
+    );
+    return checked === -1 ? '' : labels[checked];
+  }
+}
+
+module.exports = MatRadioGroup;
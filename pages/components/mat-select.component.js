@@ -0,0 +1,174 @@
+// pages/components/mat-select.component.js
+const BasePage = require('../base.page');
+const { exactText } = require('../../utils/text-match');
+
+/**
+ * MatSelect - Angular Material select (single and multiple)
+ *
+ * 📚 TEACHING NOTES FOR NEW MEMBERS:
+ *
+ * 1. THE PANEL IS NOT INSIDE THE SELECT
+ *    Options render in the CDK overlay at the end of <body>, so they are
+ *    looked up on the page, not under the trigger.
+ *
+ * 2. LOUD FAILURES
+ *    Picking an option that doesn't exist throws with the list of real
+ *    options, instead of silently leaving the field empty.
+ *
+ * 3. READ BACK
+ *    Every select() checks the displayed value afterwards.
+ *
+ * USAGE:
+ *   const category = new MatSelect(page, page.getByLabel('Category'), {
+ *     label: 'Category',
+ *   });
+ *   await category.select('Headquarter');
+ *   await category.read(); // "Headquarter"
+ *
+ *   const roles = new MatSelect(page, rolesLocator, { multiple: true });
+ *   await roles.selectMany(['Admin', 'Viewer']);
+ *   await roles.read(); // ['Admin', 'Viewer']
+ */
+
+class MatSelect extends BasePage {
+  /**
+   * @param {Page} page
+   * @param {Locator} trigger - The mat-select (role combobox)
+   * @param {object} options
+   *   label    → name used in error messages
+   *   multiple → mat-select[multiple]: read() returns an array
+   */
+  constructor(page, trigger, options = {}) {
+    super(page);
+    this.trigger = trigger;
+    this.label = options.label || 'select';
+    this.multiple = options.multiple || false;
+
+    // 🧩 Locators
+    this.valueText = trigger.locator('.mat-select-value-text');
+    this.panel = page.locator('.mat-select-panel').first();
+    this.options = this.panel.getByRole('option');
+  }
+
+  // 🔓 Panel
+  async open() {
+    if ((await this.trigger.getAttribute('aria-expanded')) !== 'true') {
+      await this.trigger.click();
+    }
+    await this.waitForElement(this.options.first());
+  }
+
+  async close() {
+    if (await this.panel.isVisible()) {
+      await this.page.keyboard.press('Escape');
+      await this.panel.waitFor({ state: 'hidden', timeout: this.shortTimeout });
+    }
+  }
+
+  /**
+   * Labels of every option (opens and closes the panel)
+   * @returns {Promise<string[]>}
+   */
+  async availableOptions() {
+    await this.open();
+    const labels = (await this.options.allInnerTexts()).map((t) => t.trim());
+    await this.close();
+    return labels;
+  }
+
+  /**
+   * Option in the open panel
+   * @private
+   * @throws Error listing real options if it doesn't exist
+   */
+  async option(label) {
+    const option = this.options.filter({ hasText: exactText(label) });
+
+    if ((await option.count()) === 0) {
+      const labels = (await this.options.allInnerTexts()).map((t) => t.trim());
+      await this.close();
+      throw new Error(
+        `❌ Option "${label}" not in ${this.label}. Options: ${labels.join(', ')}`,
+      );
+    }
+    return option.first();
+  }
+
+  // ✏️ Set
+  /**
+   * Pick one option (single select)
+   * @param {string} label - Exact option text
+   * @throws Error if the option doesn't exist or isn't shown afterwards
+   */
+  async select(label) {
+    await this.open();
+    await (await this.option(label)).click();
+    await this.panel.waitFor({ state: 'hidden', timeout: this.defaultTimeout });
+
+    await this.expectValue(label);
+  }
+
+  /**
+   * Make the selection exactly these options (multiple select)
+   * Deselects options not in the list
+   * @param {string[]} labels
+   */
+  async selectMany(labels) {
+    await this.open();
+
+    for (const label of labels) {
+      const option = await this.option(label);
+      if ((await option.getAttribute('aria-selected')) !== 'true') {
+        await option.click();
+      }
+    }
+
+    const selected = this.options.and(
+      this.page.locator('[aria-selected="true"]'),
+    );
+    for (const option of await selected.all()) {
+      const label = (await option.innerText()).trim();
+      if (!labels.includes(label)) await option.click();
+    }
+
+    await this.close();
+    await this.expectValue(labels);
+  }
+
+  // 📖 Read
+  /**
+   * Displayed value: string (single), string[] (multiple), '' / [] if empty
+   */
+  async read() {
+    const text = (await this.elementExists(this.valueText))
+      ? (await this.valueText.innerText()).trim()
+      : '';
+
+    if (!this.multiple) {
+      return text;
+    }
+    return text
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * @private
+   * @throws Error if the displayed value differs
+   */
+  async expectValue(expected) {
+    const actual = await this.read();
+    const matches = Array.isArray(expected)
+      ? [...actual].sort().join('|') === [...expected].sort().join('|')
+      : actual === expected;
+
+    if (!matches) {
+      throw new Error(
+        `❌ ${this.label} shows "${actual}" after selecting "${expected}"`,
+      );
+    }
+  }
+}
+
+module.exports = MatSelect;
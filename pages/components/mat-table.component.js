@@ -0,0 +1,493 @@
+// pages/components/mat-table.component.js
+const BasePage = require('../base.page');
+const { exactText } = require('../../utils/text-match');
+
+/**
+ * MatTable - Angular Material data table component object
+ *
+ * 📚 TEACHING NOTES FOR NEW MEMBERS:
+ *
+ * 1. WHY A COMPONENT OBJECT?
+ *    Every admin list (unit types, units, permission groups, users) is the
+ *    same mat-table + mat-sort-header + mat-paginator. List pages compose
+ *    one MatTable instead of writing their own row selectors.
+ *
+ * 2. COLUMNS BY HEADER NAME
+ *    Cells are found through the header text, so a column moving or a new
+ *    column being added doesn't break lookups.
+ *    Example: await table.rowByColumn('Name (English)', 'Army Museum')
+ *
+ * 3. EXACT MATCHES
+ *    '.mat-row:has-text("Army")' also matches "Army Headquarters".
+ *    rowByColumn/findRow compare the whole cell text.
+ *
+ * 4. CURRENT PAGE vs WHOLE RESULT
+ *    readRows/rowByColumn/findRow cover the page the paginator shows.
+ *    readAllRows/findRowAcrossPages/goToRow walk every page (largest page
+ *    size first, then "Next page"), stopping after maxPages pages so a
+ *    broken paginator can't loop forever.
+ *
+ * USAGE (in a list page):
+ *   this.table = new MatTable(page);
+ *   const rows = await this.table.readRows();
+ *   // [{ 'Name (English)': 'Army Museum', Category: 'Service', ... }]
+ */
+
+const ROW = '.mat-row';
+const CELL = '.mat-cell';
+const HEADER_CELL = '.mat-header-cell';
+
+class MatTable extends BasePage {
+  /**
+   * @param {Page} page
+   * @param {object} options
+   *   root      → table locator (default: first .mat-table on the page)
+   *   paginator → paginator locator (default: first mat-paginator)
+   *   maxPages  → page limit when walking all pages (default: 50)
+   */
+  constructor(page, options = {}) {
+    super(page);
+    this.maxPages = options.maxPages || 50;
+
+    // 🧩 Locators
+    this.root = options.root || page.locator('.mat-table').first();
+    this.headerCells = this.root.locator(HEADER_CELL);
+    this.rows = this.root.locator(ROW);
+
+    // Paginator
+    this.paginator =
+      options.paginator ||
+      page.locator('mat-paginator, .mat-paginator').first();
+    this.rangeLabel = this.paginator.locator('.mat-paginator-range-label');
+    this.pageSizeSelect = this.paginator.getByRole('combobox');
+    this.firstPageButton = this.paginator.getByRole('button', {
+      name: 'First page',
+    });
+    this.previousPageButton = this.paginator.getByRole('button', {
+      name: 'Previous page',
+    });
+    this.nextPageButton = this.paginator.getByRole('button', {
+      name: 'Next page',
+    });
+    this.lastPageButton = this.paginator.getByRole('button', {
+      name: 'Last page',
+    });
+  }
+
+  // ============================================
+  // 1️⃣ COLUMNS
+  // ============================================
+
+  /**
+   * Header texts in display order
+   * @returns {Promise<string[]>}
+   */
+  async headers() {
+    await this.waitForElement(this.root);
+    return (await this.headerCells.allInnerTexts()).map((text) => text.trim());
+  }
+
+  /**
+   * 0-based index of a column
+   * @param {string} column - Header text
+   * @throws Error listing the real headers if column doesn't exist
+   */
+  async columnIndex(column) {
+    const headers = await this.headers();
+    const index = headers.indexOf(column);
+
+    if (index === -1) {
+      throw new Error(
+        `❌ Column "${column}" not found. Columns: ${headers.join(', ')}`,
+      );
+    }
+    return index;
+  }
+
+  /**
+   * Header cell of a column
+   * @param {string} column
+   * @returns {Promise<Locator>}
+   */
+  async header(column) {
+    return this.headerCells.nth(await this.columnIndex(column));
+  }
+
+  // ============================================
+  // 2️⃣ ROWS
+  // ============================================
+
+  /**
+   * Rows on the current page as { header: cell text } objects
+   * @returns {Promise<object[]>}
+   *
+   * USAGE:
+   *   const rows = await table.readRows();
+   *   rows[0]['Short Name (English)']; // "AFD"
+   */
+  async readRows() {
+    await this.waitForElement(this.root);
+
+    const { headers, rows } = await this.root.evaluate(
+      (table, selectors) => {
+        const text = (cell) => cell.innerText.trim();
+        return {
+          headers: [...table.querySelectorAll(selectors.header)].map(text),
+          rows: [...table.querySelectorAll(selectors.row)].map((row) =>
+            [...row.querySelectorAll(selectors.cell)].map(text),
+          ),
+        };
+      },
+      { header: HEADER_CELL, row: ROW, cell: CELL },
+    );
+
+    return rows.map((cells) =>
+      Object.fromEntries(headers.map((header, i) => [header, cells[i] ?? ''])),
+    );
+  }
+
+  /**
+   * Number of rows on the current page
+   */
+  async rowCount() {
+    return await this.rows.count();
+  }
+
+  /**
+   * Row whose cell in column equals value exactly
+   * @param {string} column - Header text
+   * @param {string} value - Whole cell text
+   * @returns {Promise<Locator>} Matches no element if there is no such row
+   *
+   * USAGE:
+   *   const row = await table.rowByColumn('Name (English)', 'Army');
+   *   await row.getByRole('button', { name: 'Edit' }).click();
+   */
+  async rowByColumn(column, value) {
+    const index = await this.columnIndex(column);
+
+    return this.rows
+      .filter({
+        has: this.page
+          .locator(`${CELL}:nth-child(${index + 1})`)
+          .filter({ hasText: exactText(value) }),
+      })
+      .first();
+  }
+
+  /**
+   * Read the row whose cell in column equals value exactly
+   * @returns {Promise<object|null>} Row object, null if not on this page
+   */
+  async findRow(column, value) {
+    await this.columnIndex(column);
+    const rows = await this.readRows();
+    return rows.find((row) => row[column] === value) || null;
+  }
+
+  /**
+   * Cell of a row in a column
+   * @param {Locator} row - From rowByColumn()
+   * @param {string} column
+   * @returns {Promise<Locator>}
+   */
+  async cell(row, column) {
+    return row.locator(CELL).nth(await this.columnIndex(column));
+  }
+
+  // ============================================
+  // 3️⃣ SORTING
+  // ============================================
+
+  /**
+   * Current sort (mat-sort-header aria-sort)
+   * @returns {Promise<{column: string, direction: 'asc'|'desc'}|null>}
+   */
+  async sortState() {
+    const headers = await this.headers();
+
+    for (const [index, column] of headers.entries()) {
+      const ariaSort = await this.headerCells
+        .nth(index)
+        .getAttribute('aria-sort');
+      if (ariaSort === 'ascending') return { column, direction: 'asc' };
+      if (ariaSort === 'descending') return { column, direction: 'desc' };
+    }
+    return null;
+  }
+
+  /**
+   * Sort by column, clicking the header until the direction is reached
+   * @param {string} column
+   * @param {'asc'|'desc'} direction
+   * @throws Error if the column isn't sortable
+   */
+  async sortBy(column, direction = 'asc') {
+    const wanted = direction === 'asc' ? 'ascending' : 'descending';
+
+    // mat-sort-header cycles asc → desc → none
+    for (let click = 0; click < 3; click++) {
+      const header = await this.header(column);
+      const current = (await header.getAttribute('aria-sort')) || 'none';
+      if (current === wanted) {
+        return;
+      }
+
+      await header.click();
+      // Unsorted → sorted either way; sorted → the other way or unsorted
+      // (a header without aria-sort also counts as unsorted)
+      const next =
+        current === 'none'
+          ? '[aria-sort="ascending"], [aria-sort="descending"]'
+          : `:not([aria-sort="${current}"])`;
+      await header
+        .and(this.page.locator(next))
+        .waitFor({ timeout: this.defaultTimeout })
+        .catch(() => {
+          throw new Error(
+            `❌ Could not sort "${column}" ${direction}: clicking the header did not change its sort`,
+          );
+        });
+    }
+
+    throw new Error(
+      `❌ Could not sort "${column}" ${direction}: column is not sortable`,
+    );
+  }
+
+  // ============================================
+  // 4️⃣ PAGINATOR
+  // ============================================
+
+  async hasPaginator() {
+    return await this.elementExists(this.paginator);
+  }
+
+  /**
+   * Paginator range, e.g. "11 – 20 of 53"
+   * @returns {Promise<{from: number, to: number, total: number}|null>}
+   *   null without paginator
+   */
+  async pageRange() {
+    if (!(await this.hasPaginator())) {
+      return null;
+    }
+
+    const label = (await this.rangeLabel.innerText()).trim();
+    const numbers = label.match(/\d+/g)?.map(Number) || [];
+    // Empty table: "0 of 0"
+    if (numbers.length < 3) {
+      return { from: 0, to: 0, total: numbers.at(-1) ?? 0 };
+    }
+    const [from, to, total] = numbers;
+    return { from, to, total };
+  }
+
+  /**
+   * Total rows over all pages (paginator), or rows on the page without one
+   */
+  async totalCount() {
+    const range = await this.pageRange();
+    return range ? range.total : await this.rowCount();
+  }
+
+  async isLastPage() {
+    if (!(await this.hasPaginator())) {
+      return true;
+    }
+    return await this.nextPageButton.isDisabled();
+  }
+
+  async nextPage() {
+    await this.changePage(this.nextPageButton, 'next');
+  }
+
+  async previousPage() {
+    await this.changePage(this.previousPageButton, 'previous');
+  }
+
+  async firstPage() {
+    await this.changePage(this.firstPageButton, 'first');
+  }
+
+  /**
+   * Click a paginator button and wait for the range to change
+   * @private
+   * @throws Error if the button is disabled (already there)
+   */
+  async changePage(button, name) {
+    if (await button.isDisabled()) {
+      throw new Error(`❌ Cannot go to ${name} page: button is disabled`);
+    }
+
+    const before = (await this.rangeLabel.innerText()).trim();
+    await button.click();
+    await this.rangeLabel
+      .filter({ hasNotText: exactText(before) })
+      .waitFor({ timeout: this.defaultTimeout });
+  }
+
+  /**
+   * Go back to page 1 (First page button, or Previous page if hidden)
+   */
+  async goToFirstPage() {
+    if (!(await this.hasPaginator())) {
+      return;
+    }
+
+    if (await this.elementExists(this.firstPageButton)) {
+      if (await this.firstPageButton.isEnabled()) await this.firstPage();
+      return;
+    }
+
+    for (let step = 0; step < this.maxPages; step++) {
+      if (await this.previousPageButton.isDisabled()) return;
+      await this.previousPage();
+    }
+  }
+
+  /**
+   * Page size options of the paginator, e.g. [10, 25, 50]
+   * Closes the panel again
+   */
+  async pageSizeOptions() {
+    await this.openPageSizePanel();
+    const options = await this.page.getByRole('option').allInnerTexts();
+    await this.page.keyboard.press('Escape');
+    return options.map((option) => Number(option.trim()));
+  }
+
+  /**
+   * @private
+   */
+  async openPageSizePanel() {
+    await this.pageSizeSelect.click();
+    await this.waitForElement(this.page.getByRole('option').first());
+  }
+
+  /**
+   * Select page size
+   * @param {number} size - Must be one of pageSizeOptions()
+   * @throws Error if size isn't offered
+   */
+  async setPageSize(size) {
+    await this.openPageSizePanel();
+    const option = this.page.getByRole('option', {
+      name: String(size),
+      exact: true,
+    });
+
+    if (!(await this.elementExists(option))) {
+      const offered = await this.page.getByRole('option').allInnerTexts();
+      await this.page.keyboard.press('Escape');
+      throw new Error(
+        `❌ Page size ${size} not offered. Options: ${offered.join(', ')}`,
+      );
+    }
+
+    await option.click();
+    await this.pageSizeSelect
+      .filter({ hasText: exactText(size) })
+      .waitFor({ timeout: this.defaultTimeout });
+  }
+
+  /**
+   * Select the largest page size, so fewer pages need walking
+   */
+  async maximizePageSize() {
+    const current = Number((await this.pageSizeSelect.innerText()).trim());
+    const largest = Math.max(...(await this.pageSizeOptions()));
+
+    if (largest > current) {
+      await this.setPageSize(largest);
+    }
+  }
+
+  // ============================================
+  // 5️⃣ WHOLE RESULT SET (all pages)
+  // ============================================
+
+  /**
+   * Visit every page from the first one
+   * @param {function} visit - async (pageNumber) => true to stop early
+   * @param {object} options
+   *   maxPages → safety limit (default: this.maxPages)
+   *   maximize → largest page size first (default: true); false steps
+   *              through "Next page" with the current size
+   * @returns {Promise<boolean>} true if visit stopped early
+   * @throws Error if there are more than maxPages pages
+   */
+  async forEachPage(visit, options = {}) {
+    const { maxPages = this.maxPages, maximize = true } = options;
+
+    if (await this.hasPaginator()) {
+      if (maximize) await this.maximizePageSize();
+      await this.goToFirstPage();
+    }
+
+    for (let pageNumber = 1; ; pageNumber++) {
+      if (await visit(pageNumber)) {
+        return true;
+      }
+      if (await this.isLastPage()) {
+        return false;
+      }
+      if (pageNumber >= maxPages) {
+        throw new Error(
+          `❌ Stopped after ${maxPages} page${maxPages === 1 ? '' : 's'} (maxPages) - ` +
+            'narrow the search or raise the limit',
+        );
+      }
+      await this.nextPage();
+    }
+  }
+
+  /**
+   * Rows of every page - for lookups, counts and exports
+   * @param {object} options - Same as forEachPage
+   * @returns {Promise<object[]>}
+   *
+   * USAGE:
+   *   const all = await table.readAllRows();
+   *   all.length === (await table.totalCount());
+   */
+  async readAllRows(options = {}) {
+    const rows = [];
+    await this.forEachPage(async () => {
+      rows.push(...(await this.readRows()));
+    }, options);
+    return rows;
+  }
+
+  /**
+   * Find row by exact column value on any page
+   * Leaves the grid on the page where it was found
+   * @returns {Promise<object|null>} Row object, null if on no page
+   */
+  async findRowAcrossPages(column, value, options = {}) {
+    let found = null;
+    await this.forEachPage(async () => {
+      found = await this.findRow(column, value);
+      return found !== null;
+    }, options);
+    return found;
+  }
+
+  /**
+   * Go to the page holding the row and return its locator
+   * @returns {Promise<Locator>}
+   * @throws Error if no page has the row
+   *
+   * USAGE:
+   *   const row = await table.goToRow('Name (English)', name);
+   *   await row.getByRole('button', { name: 'Edit' }).click();
+   */
+  async goToRow(column, value, options = {}) {
+    if (!(await this.findRowAcrossPages(column, value, options))) {
+      throw new Error(`❌ No row with ${column} "${value}" on any page`);
+    }
+    return await this.rowByColumn(column, value);
+  }
+}
+
+module.exports = MatTable;
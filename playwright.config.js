@@ -1,5 +1,10 @@
 // playwright.config.js
 require('dotenv').config();
+const { DEFAULT_ROLE, getAuthFile } = require('./utils/auth-roles');
+
+// Local stand-in server (mock-server/) instead of the live environment | MOCK_SERVER=true
+const useMockServer = process.env.MOCK_SERVER === 'true';
+const mockServerUrl = `http://localhost:${parseInt(process.env.MOCK_PORT) || 4700}`;
 
 module.exports = {
   testDir: './tests',
@@ -7,20 +12,35 @@ module.exports = {
   retries: parseInt(process.env.RETRIES) || 0, // Reduced retries for faster feedback | set to 0 for debugging
   workers: parseInt(process.env.WORKERS) || 1, // Number of parallel workers for test execution | set to 1 for debugging
 
+  // @mock-seed tests assert on the mock server's seed data: skipped against a real environment
+  grepInvert: useMockServer ? undefined : /@mock-seed/,
+
   // Global setup - runs once before all tests
   globalSetup: require.resolve('./tests/setup/global-setup.js'), // handles shared auth caching
 
   use: {
-    baseURL: process.env.BASE_URL || 'https://192.168.10.30:700', // Default base URL
+    baseURL: useMockServer
+      ? mockServerUrl
+      : process.env.BASE_URL || 'https://192.168.10.30:700', // Default base URL
     headless: process.env.HEADLESS === 'false', // Run tests in headless mode based on env variable | default: false
     screenshot: process.env.SCREENSHOT_MODE || 'only-on-failure', // Capture screenshots on failure | 'on', 'off', 'only-on-failure'
     video: process.env.VIDEO_MODE || 'retain-on-failure', // Record videos on failure
     trace: 'on-first-retry', // Collect trace on first retry | 'retain-on-failure'
     ignoreHTTPSErrors: true, // Ignore HTTPS errors for self-signed certificates | useful for local testing
-    // Use saved auth state for all tests
-    storageState: 'playwright/.auth/user.json',
+    // Use saved auth state for all tests | per-role override: test.use({ role: 'admin' }) (tests/fixtures)
+    storageState: getAuthFile(DEFAULT_ROLE),
   },
 
+  // Started before global setup, stopped after the run
+  webServer: useMockServer
+    ? {
+        command: 'node mock-server/server.js',
+        url: `${mockServerUrl}/landing`,
+        reuseExistingServer: !process.env.CI,
+        timeout: 30000,
+      }
+    : undefined,
+
   reporter: [
     ['html', { outputFolder: process.env.REPORT_PATH || 'reports/html' }],
     ['list'],
@@ -0,0 +1,45 @@
+// test-data/rules/unit-type-form.rules.js
+/**
+ * Validation rules of the unit type form
+ * One negative test per rule is generated from this file
+ * (tests/administration/unit-type/unit-type-validation.spec.js,
+ * utils/validation-rules.js). Keep it in step with the form.
+ *
+ * field    → form control name, where the error shows (assertFormFieldError)
+ * required → empty value is refused
+ * maxLength → longer values are refused
+ * script: 'bengali' → Latin text is refused
+ * unique   → a value another unit type already has is refused (case and
+ *            spacing ignored; the server answers with a conflict)
+ * messages → expected error text per rule (default: see utils/validation-rules.js)
+ */
+module.exports = {
+  'Name (English)': {
+    field: 'nameEn',
+    required: true,
+    maxLength: 150,
+    unique: true,
+  },
+  'Name (Bangla)': {
+    field: 'nameBn',
+    required: true,
+    maxLength: 150,
+    script: 'bengali',
+    unique: true,
+  },
+  'Short Name (English)': {
+    field: 'shortNameEn',
+    required: true,
+    maxLength: 50,
+    unique: true,
+  },
+  'Short Name (Bangla)': {
+    field: 'shortNameBn',
+    required: true,
+    maxLength: 50,
+    script: 'bengali',
+    unique: true,
+  },
+  Category: { field: 'category', required: true },
+  Service: { field: 'service', required: true },
+};
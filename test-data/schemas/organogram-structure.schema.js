@@ -0,0 +1,11 @@
+// test-data/schemas/organogram-structure.schema.js
+/**
+ * Column schema for test-data/organogram-structure.csv
+ * One row per node; Parent empty → top of the structure
+ * (utils/organogram-structure.js)
+ */
+module.exports = {
+  Node: { required: true },
+  Parent: {},
+  'Unit Type': {},
+};
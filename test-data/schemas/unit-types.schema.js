@@ -0,0 +1,20 @@
+// test-data/schemas/unit-types.schema.js
+/**
+ * Column schema for test-data/unit-types.csv
+ * Used by readCSV/readCSVSync (utils/csv-reader.js) to validate and type rows
+ */
+module.exports = {
+  'Name (English)': { required: true },
+  'Name (Bangla)': { required: true },
+  'Short Name (English)': { required: true },
+  'Short Name (Bangla)': { required: true },
+  Category: { required: true, enum: ['Headquarter', 'Service', 'Arms'] },
+  Service: {
+    required: true,
+    enum: ['Bangladesh Army', 'Bangladesh Navy', 'Bangladesh Air Force'],
+  },
+  Type: { required: true, enum: ['Static', 'Field'] },
+  'Is Depot': { type: 'boolean' },
+  'Is Workshop': { type: 'boolean' },
+  'Corps Names (English)': { type: 'list' },
+};
@@ -0,0 +1,144 @@
+// tests/administration/organogram/manpower.spec.js
+/**
+ * Administration → Organogram Node Manpower Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Organogram Management
+ * 📍 Purpose: A node's manpower rows (rank, appointment, authorized and
+ *    held counts) are saved as edited - rows added, changed and removed -
+ *    invalid counts are refused, and the totals and roll-ups shown at
+ *    parent nodes add up to their children
+ *
+ * ✅ When to use: Node configuration or manpower changes
+ * ✅ Uses: cleanup fixture - the nodes edited here are created by the
+ *    tests (context menu) under the root and deleted, with their
+ *    manpower, at teardown
+ * ✅ @mock-seed: the seed roll-up check reads a branch of the mock
+ *    server's organogram - run with MOCK_SERVER=true
+ *
+ * 📍 Page Objects: pages/administration/organogram/node-config/manpower.page.js
+ */
+const { test, expect } = require('../../fixtures');
+const { uniqueSuffixFor } = require('../../../utils/unique-data');
+const { SAVE_OUTCOMES } = require('../../../utils/save-outcome');
+
+const ROWS = [
+  {
+    Rank: 'Major',
+    Appointment: 'Officer Commanding',
+    Authorized: 1,
+    Held: 1,
+  },
+  {
+    Rank: 'Warrant Officer',
+    Appointment: 'Workshop Foreman',
+    Authorized: 2,
+    Held: 1,
+  },
+  {
+    Rank: 'Corporal',
+    Appointment: 'Vehicle Mechanic',
+    Authorized: 18,
+    Held: 15,
+  },
+];
+
+const newLabel = (name) => `${name}${uniqueSuffixFor(name)}`;
+
+test.describe('Administration → Organogram Node Manpower', () => {
+  test(
+    'should show seed roll-ups that add up to the children',
+    { tag: '@mock-seed' },
+    async ({ manpower }) => {
+      // A seed branch no other spec adds nodes under
+      await manpower.expectRollupsConsistent('6 Artillery Brigade');
+    },
+  );
+});
+
+test.describe('Administration → Organogram Node Manpower Editing', () => {
+  let node;
+
+  test.beforeEach(async ({ organogram, nodeContextMenu, manpower }) => {
+    node = newLabel('Test Manpower Section');
+    await nodeContextMenu.addChild(await organogram.readRootLabel(), {
+      label: node,
+    });
+    await manpower.open(node);
+  });
+
+  test('should save manpower rows and read them back', async ({ manpower }) => {
+    expect(await manpower.readRows()).toEqual([]);
+
+    await manpower.setRows(ROWS);
+    await manpower.save();
+
+    await manpower.expectSavedAs(ROWS);
+    expect(await manpower.readTotals()).toEqual({ Authorized: 21, Held: 17 });
+  });
+
+  test('should add, change and remove rows', async ({ manpower }) => {
+    const [commander, foreman, mechanic] = ROWS;
+    await manpower.setRows([commander, foreman]);
+    await manpower.save();
+
+    await manpower.addRow(mechanic);
+    await manpower.editRow(commander.Rank, commander.Appointment, { Held: 0 });
+    await manpower.removeRow(foreman.Rank, foreman.Appointment);
+    expect(await manpower.readTotals()).toEqual({ Authorized: 19, Held: 15 });
+    await manpower.save();
+
+    await manpower.expectSavedAs([{ ...commander, Held: 0 }, mechanic]);
+  });
+
+  test('should refuse a negative count and keep the saved rows', async ({
+    manpower,
+  }) => {
+    const [commander] = ROWS;
+    await manpower.setRows([commander]);
+    await manpower.save();
+
+    await manpower.editRow(commander.Rank, commander.Appointment, {
+      Held: -1,
+    });
+    const result = await manpower.attemptSave();
+
+    expect(result.outcome, `Save result: ${JSON.stringify(result)}`).toBe(
+      SAVE_OUTCOMES.VALIDATION,
+    );
+    await manpower.expectSavedAs([commander]);
+  });
+
+  test('should roll the children up into the parent total', async ({
+    nodeContextMenu,
+    manpower,
+  }) => {
+    const [first, second] = [
+      newLabel('Test Manpower Cell A'),
+      newLabel('Test Manpower Cell B'),
+    ];
+    await nodeContextMenu.addChild(node, { label: first });
+    await nodeContextMenu.addChild(node, { label: second });
+
+    await manpower.open(node);
+    await manpower.setRows([ROWS[0]]);
+    await manpower.save();
+    await manpower.open(first);
+    await manpower.setRows([ROWS[1]]);
+    await manpower.save();
+    await manpower.open(second);
+    await manpower.setRows([ROWS[2]]);
+    await manpower.save();
+
+    await manpower.open(node);
+    const rollup = await manpower.readRollup();
+    expect(rollup.own).toEqual({ Authorized: 1, Held: 1 });
+    expect(rollup.children).toEqual([
+      { Node: first, Authorized: 2, Held: 1 },
+      { Node: second, Authorized: 18, Held: 15 },
+    ]);
+    expect(rollup.total).toEqual({ Authorized: 21, Held: 17 });
+
+    expect(await manpower.findRollupErrors(node)).toEqual([]);
+  });
+});
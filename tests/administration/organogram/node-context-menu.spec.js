@@ -0,0 +1,166 @@
+// tests/administration/organogram/node-context-menu.spec.js
+/**
+ * Administration → Organogram Node Context Menu Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Organogram Management
+ * 📍 Purpose: Every right-click action on a node (add child, rename,
+ *    delete, configure) changes the tree read back from the canvas as
+ *    expected - and nothing else
+ *
+ * ✅ When to use: Organogram editing, node dialogs or context menu changes
+ * ✅ Uses: cleanup fixture - nodes added here (under the root) are
+ *    deleted at teardown
+ *
+ * 📍 Page Objects: pages/administration/organogram/node-context-menu.page.js
+ * 📍 Helpers: utils/organogram-tree.js
+ */
+const { test, expect } = require('../../fixtures');
+const { uniqueSuffixFor } = require('../../../utils/unique-data');
+const { SAVE_OUTCOMES } = require('../../../utils/save-outcome');
+const {
+  flattenTree,
+  findNode,
+  getNode,
+  findParent,
+  countNodes,
+} = require('../../../utils/organogram-tree');
+
+const UNIT_TYPE = 'Army Museum';
+
+const newLabel = (name) => `${name}${uniqueSuffixFor(name)}`;
+
+test.describe('Administration → Organogram Node Context Menu', () => {
+  let root;
+
+  test.beforeEach(async ({ organogram }) => {
+    root = await organogram.readRootLabel();
+  });
+
+  test('should offer the node actions on right-click', async ({
+    nodeContextMenu,
+  }) => {
+    const label = newLabel('Test Menu Cell');
+    await nodeContextMenu.addChild(root, { label });
+
+    expect(await nodeContextMenu.readMenuItems(label)).toEqual([
+      'Add Child Node',
+      'Rename',
+      'Configure',
+      'Delete',
+    ]);
+  });
+
+  test('should add a child node under the clicked node', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    // Counted under a node of this test: other workers edit the rest
+    const parent = newLabel('Test Provost Section');
+    const label = newLabel('Test Provost Unit');
+    await nodeContextMenu.addChild(root, { label: parent });
+
+    await nodeContextMenu.addChild(parent, { label, unitType: UNIT_TYPE });
+
+    const tree = await organogram.readTree();
+    const child = getNode(tree, label);
+    expect(findParent(tree, label).label).toBe(parent);
+    expect(findParent(tree, parent).label).toBe(root);
+    expect(child.unitType).toBe(UNIT_TYPE);
+    expect(child.children).toEqual([]);
+    expect(countNodes(getNode(tree, parent).children)).toBe(1);
+  });
+
+  test('should refuse a second child with the same name', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    const label = newLabel('Test Workshop Cell');
+    await nodeContextMenu.addChild(root, { label });
+
+    const result = await nodeContextMenu.attemptAddChild(root, { label });
+    expect(result.outcome, `Save result: ${JSON.stringify(result)}`).toBe(
+      SAVE_OUTCOMES.CONFLICT,
+    );
+
+    const tree = await organogram.readTree();
+    expect(
+      flattenTree(tree).filter((node) => node.label === label),
+      `"${label}" was added twice`,
+    ).toHaveLength(1);
+  });
+
+  test('should rename a node in place', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    const label = newLabel('Test Paint Shop');
+    const renamed = newLabel('Test Body Shop');
+    await nodeContextMenu.addChild(root, { label });
+    const { id } = getNode(await organogram.readTree(), label);
+
+    await nodeContextMenu.rename(label, renamed);
+
+    const tree = await organogram.readTree();
+    expect(findNode(tree, label)).toBeNull();
+    expect(getNode(tree, renamed).id).toBe(id);
+    expect(findParent(tree, renamed).label).toBe(root);
+  });
+
+  test('should delete a node with everything under it once confirmed', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    // Checked under a node of this test: other workers edit the rest
+    const section = newLabel('Test Store Wing');
+    const parent = newLabel('Test Store Section');
+    const child = newLabel('Test Store Cell');
+    const sibling = newLabel('Test Store Room');
+    await nodeContextMenu.addChild(root, { label: section });
+    await nodeContextMenu.addChild(section, { label: parent });
+    await nodeContextMenu.addChild(parent, { label: child });
+    await nodeContextMenu.addChild(section, { label: sibling });
+
+    await nodeContextMenu.deleteNode(parent);
+
+    const tree = await organogram.readTree();
+    expect(findNode(tree, parent)).toBeNull();
+    expect(findNode(tree, child)).toBeNull();
+    expect(getNode(tree, section).children.map((node) => node.label)).toEqual([
+      sibling,
+    ]);
+  });
+
+  test('should keep the node when delete is not confirmed', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    // A node of this test: if the delete goes through anyway, no seed
+    // node is lost and cleanup skips the missing node
+    const parent = newLabel('Test Signal Section');
+    const child = newLabel('Test Signal Cell');
+    await nodeContextMenu.addChild(root, { label: parent });
+    await nodeContextMenu.addChild(parent, { label: child });
+
+    await nodeContextMenu.deleteNode(parent, { confirm: false });
+
+    const tree = await organogram.readTree();
+    expect(findParent(tree, parent).label).toBe(root);
+    expect(findParent(tree, child).label).toBe(parent);
+  });
+
+  test('should open the configuration of the clicked node', async ({
+    page,
+    nodeContextMenu,
+  }) => {
+    const label = newLabel('Test Config Cell');
+    await nodeContextMenu.addChild(root, { label });
+
+    await nodeContextMenu.openConfiguration(label);
+
+    await expect(page).toHaveURL(/\/config$/);
+    await expect(
+      page.getByRole('heading', { name: label, exact: true }),
+    ).toBeVisible();
+  });
+});
@@ -0,0 +1,136 @@
+// tests/administration/organogram/organogram-move.spec.js
+/**
+ * Administration → Organogram Drag and Drop Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Organogram Management
+ * 📍 Purpose: Dragging a node onto another makes it (with its branch)
+ *    a child of that node - at any zoom, also when the canvas has to
+ *    auto-scroll to the target - and moves that would break the tree are
+ *    refused without changing it
+ *
+ * ✅ When to use: Organogram restructuring, canvas drag/zoom changes
+ * ✅ Uses: cleanup fixture - the nodes moved here are created by the
+ *    tests (context menu) under the root and deleted at teardown
+ * ✅ @mock-seed: the zoom tests drag between seed branches at the top and
+ *    bottom of the mock server's canvas - run with MOCK_SERVER=true
+ *
+ * 📍 Page Objects: pages/administration/organogram/organogram-canvas.page.js
+ * 📍 Helpers: utils/organogram-tree.js
+ */
+const { test, expect } = require('../../fixtures');
+const { uniqueSuffixFor } = require('../../../utils/unique-data');
+const { SAVE_OUTCOMES } = require('../../../utils/save-outcome');
+const {
+  getNode,
+  findParent,
+  countNodes,
+} = require('../../../utils/organogram-tree');
+
+const newLabel = (name) => `${name}${uniqueSuffixFor(name)}`;
+
+test.describe('Administration → Organogram Drag and Drop', () => {
+  test('should move a node under the node it is dropped on', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    // Counted under nodes of this test: other workers edit the rest
+    const root = await organogram.readRootLabel();
+    const origin = newLabel('Test Dispatch Wing');
+    const cell = newLabel('Test Dispatch Cell');
+    const target = newLabel('Test Dispatch Section');
+    await nodeContextMenu.addChild(root, { label: origin });
+    await nodeContextMenu.addChild(origin, { label: cell });
+    await nodeContextMenu.addChild(root, { label: target });
+
+    const tree = await organogram.moveNode(cell, target);
+
+    expect(findParent(tree, cell).label).toBe(target);
+    expect(countNodes(getNode(tree, origin).children)).toBe(0);
+    expect(countNodes(getNode(tree, target).children)).toBe(1);
+  });
+
+  test('should move the whole branch of the dragged node', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    const root = await organogram.readRootLabel();
+    const branch = newLabel('Test Repair Section');
+    const leaf = newLabel('Test Repair Cell');
+    const target = newLabel('Test Repair Wing');
+    await nodeContextMenu.addChild(root, { label: branch });
+    await nodeContextMenu.addChild(branch, { label: leaf });
+    await nodeContextMenu.addChild(root, { label: target });
+
+    const tree = await organogram.moveNode(branch, target);
+
+    expect(findParent(tree, branch).label).toBe(target);
+    expect(findParent(tree, leaf).label).toBe(branch);
+  });
+
+  for (const zoom of [175, 50]) {
+    test(
+      `should drag across the whole canvas at ${zoom}% zoom`,
+      { tag: '@mock-seed' },
+      async ({ organogram, nodeContextMenu }) => {
+        // Top of the tree → bottom: zoomed in, the target starts out of
+        // view and is reached by auto-scroll
+        const cell = newLabel(`Test Zoom ${zoom} Cell`);
+        const target = newLabel(`Test Zoom ${zoom} Section`);
+        await nodeContextMenu.addChild('Army Band Unit', { label: cell });
+        await nodeContextMenu.addChild('Supply Depot', { label: target });
+
+        await organogram.expandAll();
+        await organogram.setZoom(zoom);
+        expect(await organogram.readZoom()).toBe(zoom);
+
+        const tree = await organogram.moveNode(cell, target);
+        expect(findParent(tree, cell).label).toBe(target);
+      },
+    );
+  }
+
+  test('should refuse dropping a node onto its own descendant', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    const root = await organogram.readRootLabel();
+    const branch = newLabel('Test Loop Section');
+    const leaf = newLabel('Test Loop Cell');
+    await nodeContextMenu.addChild(root, { label: branch });
+    await nodeContextMenu.addChild(branch, { label: leaf });
+
+    const result = await organogram.attemptMove(branch, leaf);
+
+    expect(result.outcome, `Move result: ${JSON.stringify(result)}`).not.toBe(
+      SAVE_OUTCOMES.SUCCESS,
+    );
+    const tree = await organogram.readTree();
+    expect(findParent(tree, branch).label).toBe(root);
+    expect(findParent(tree, leaf).label).toBe(branch);
+  });
+
+  test('should refuse moving the top of a branch under a deeper node', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    // Top → middle → bottom: the drop target is two levels down
+    const root = await organogram.readRootLabel();
+    const top = newLabel('Test Loop Wing');
+    const middle = newLabel('Test Loop Detachment');
+    const bottom = newLabel('Test Loop Team');
+    await nodeContextMenu.addChild(root, { label: top });
+    await nodeContextMenu.addChild(top, { label: middle });
+    await nodeContextMenu.addChild(middle, { label: bottom });
+
+    const result = await organogram.attemptMove(top, bottom);
+
+    expect(result.outcome, `Move result: ${JSON.stringify(result)}`).not.toBe(
+      SAVE_OUTCOMES.SUCCESS,
+    );
+    const tree = await organogram.readTree();
+    expect(findParent(tree, top).label).toBe(root);
+    expect(findParent(tree, middle).label).toBe(top);
+    expect(findParent(tree, bottom).label).toBe(middle);
+  });
+});
@@ -0,0 +1,94 @@
+// tests/administration/organogram/organogram-structure.spec.js
+/**
+ * Administration → Organogram Structure File Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Organogram Management
+ * 📍 Purpose: A subtree described in a structure file is built through
+ *    the UI as described, and comparing the organogram with the file
+ *    names every missing, extra and misplaced node
+ *
+ * ✅ When to use: Organogram editing changes, structure file changes
+ * ✅ Uses: cleanup fixture - the nodes built here (under a node of the
+ *    test, itself under the root) are deleted at teardown
+ *
+ * 📍 Page Objects: pages/administration/organogram/*.page.js
+ * 📍 Helpers: utils/organogram-structure.js
+ * 📍 Test Data: test-data/organogram-structure.csv
+ */
+const { test, expect } = require('../../fixtures');
+const { uniqueSuffixFor } = require('../../../utils/unique-data');
+const {
+  loadOrganogramStructure,
+} = require('../../../utils/organogram-structure');
+
+const structure = loadOrganogramStructure(
+  './test-data/organogram-structure.csv',
+  { unique: true },
+);
+const [top] = structure;
+const leaves = structure.filter(
+  (node) => !structure.some((other) => other.parent === node.label),
+);
+
+test.describe('Administration → Organogram Structure File', () => {
+  let root;
+  let under;
+
+  test.beforeEach(async ({ organogram, nodeContextMenu }) => {
+    root = await organogram.readRootLabel();
+    under = `Test Structure Wing${uniqueSuffixFor('Test Structure Wing')}`;
+    await nodeContextMenu.addChild(root, { label: under });
+    await nodeContextMenu.addStructure(structure, { under });
+  });
+
+  test('should build the structure file as a subtree', async ({
+    organogram,
+  }) => {
+    await organogram.expectMatchesStructure(structure, { under });
+  });
+
+  test('should report missing, extra and misplaced nodes', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    const [removed, moved] = leaves;
+    const newParent = structure.find(
+      (node) => node.parent === top.label && node.label !== moved.parent,
+    );
+    const extra = `Extra Cell${uniqueSuffixFor('Extra Cell')}`;
+
+    await nodeContextMenu.deleteNode(removed.label);
+    await nodeContextMenu.addChild(top.label, { label: extra });
+    await organogram.moveNode(moved.label, newParent.label);
+
+    const diff = await organogram.compareWithStructure(structure, {
+      under,
+    });
+    expect(diff).toEqual({
+      missing: [{ label: removed.label, parent: removed.parent }],
+      extra: [{ label: extra, parent: top.label }],
+      misplaced: [
+        {
+          label: moved.label,
+          expected: moved.parent,
+          actual: newParent.label,
+        },
+      ],
+    });
+  });
+
+  test('should report the whole subtree as misplaced under another node', async ({
+    organogram,
+  }) => {
+    const diff = await organogram.compareWithStructure(structure, {
+      under: root,
+    });
+
+    expect(diff.misplaced).toEqual([
+      { label: top.label, expected: root, actual: under },
+    ]);
+    expect(diff.missing).toEqual([]);
+    expect(diff.extra).toEqual([]);
+  });
+});
@@ -4,34 +4,94 @@
  *
  * 📍 Module: Administration
  * 📍 Feature: Organogram Management
- * 📍 Purpose: Test organogram structure and operations
+ * 📍 Purpose: Read the organogram canvas as a tree and check its structure
+ *    (who reports to whom), not how it is drawn
  *
  * ✅ When to use: Organogram structure changes, node operations, hierarchy tests
- * ✅ Uses: Shared auth state from global-setup (faster execution)
+ * ✅ Uses: Shared auth state from global-setup (faster execution);
+ *    cleanup fixture - nodes whose places are checked are created by the
+ *    tests under the root and deleted at teardown
  *
- * 📍 Page Objects: pages/organogram/organogram-*.page.js
- * 📍 Test Data: test-data/organogram-structure.csv
+ * 📍 Page Objects: pages/administration/organogram/organogram-canvas.page.js
+ * 📍 Helpers: utils/organogram-tree.js
  */
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../../../pages/auth/login.page');
+const { test, expect } = require('../../fixtures');
+const { uniqueSuffixFor } = require('../../../utils/unique-data');
+const {
+  flattenTree,
+  getNode,
+  findParent,
+  countNodes,
+  formatTree,
+} = require('../../../utils/organogram-tree');
 
-test.describe('Administration → Organogram Management', () => {
-  let loginPage;
+const newLabel = (name) => `${name}${uniqueSuffixFor(name)}`;
 
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
+test.describe('Administration → Organogram Management', () => {
+  test('should read the whole organogram as a tree', async ({
+    organogram,
+  }, testInfo) => {
+    const tree = await organogram.readTree();
+    await testInfo.attach('organogram.txt', {
+      body: formatTree(tree),
+      contentType: 'text/plain',
+    });
 
-    // Start from landing page and login
-    await loginPage.gotoLoginPage();
-    await loginPage.login(
-      process.env.SUPERADMIN_USERNAME || 'main.superadmin',
-      process.env.SUPERADMIN_PASSWORD || 'Ordiss@SA',
+    const flat = flattenTree(tree);
+    expect(tree.length, 'organogram has no root node').toBeGreaterThan(0);
+    expect(countNodes(tree)).toBe(flat.length);
+    expect(new Set(flat.map((node) => node.id)).size, 'node ids repeat').toBe(
+      flat.length,
     );
+    expect(
+      flat.filter((node) => !node.label).map((node) => node.path),
+      'nodes without a label',
+    ).toEqual([]);
+    expect(
+      Math.max(...flat.map((node) => node.depth)),
+      'branches below the second level were not read',
+    ).toBeGreaterThanOrEqual(2);
+  });
 
-    // Note: Organogram page object and tests to be implemented
+  test('should leave nothing collapsed after reading', async ({
+    organogram,
+  }) => {
+    const [root] = await organogram.readTree({ expand: false });
+    expect(root.children.length).toBeGreaterThan(0);
+
+    await organogram.readTree();
+    await expect(organogram.collapsedItems).toHaveCount(0);
   });
 
-  test.skip('should display organogram', async () => {
-    // TODO: Implement organogram tests
+  test('should show each node under the node it reports to', async ({
+    organogram,
+    nodeContextMenu,
+  }) => {
+    // Wing → [Cell A, Cell B → Team]: checked on nodes of this test,
+    // the rest of the tree depends on the environment
+    const root = await organogram.readRootLabel();
+    const wing = newLabel('Test Survey Wing');
+    const [first, second] = [
+      newLabel('Test Survey Cell A'),
+      newLabel('Test Survey Cell B'),
+    ];
+    const team = newLabel('Test Survey Team');
+    await nodeContextMenu.addChild(root, { label: wing });
+    await nodeContextMenu.addChild(wing, { label: first });
+    await nodeContextMenu.addChild(wing, { label: second });
+    await nodeContextMenu.addChild(second, { label: team });
+
+    const tree = await organogram.readTree();
+
+    expect(getNode(tree, wing).children.map((node) => node.label)).toEqual([
+      first,
+      second,
+    ]);
+    expect(findParent(tree, team).label).toBe(second);
+    expect(findParent(tree, wing).label).toBe(root);
+    expect(findParent(tree, root)).toBeNull();
+    expect(
+      getNode(tree, `${root} > ${wing} > ${second}`).children,
+    ).toHaveLength(1);
   });
 });
@@ -12,26 +12,10 @@
  * 📍 Page Objects: pages/role-permission/role-permission-*.page.js
  * 📍 Test Data: test-data/roles.csv, test-data/permissions.csv
  */
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../../../pages/auth/login.page');
+const { test, expect } = require('../../fixtures');
 
 test.describe('Administration → Roles & Permissions Management', () => {
-  let loginPage;
-
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
-
-    // Start from landing page and login
-    await loginPage.gotoLoginPage();
-    await loginPage.login(
-      process.env.SUPERADMIN_USERNAME || 'main.superadmin',
-      process.env.SUPERADMIN_PASSWORD || 'Ordiss@SA',
-    );
-
-    // Note: Roles & Permissions page objects and tests to be implemented
-  });
-
-  test.skip('should display permission groups', async () => {
+  test.skip('should display permission groups', async ({ permissionGroupList }) => {
     // TODO: Implement roles & permissions tests
   });
 });
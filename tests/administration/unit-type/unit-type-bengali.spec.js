@@ -0,0 +1,63 @@
+// tests/administration/unit-type/unit-type-bengali.spec.js
+/**
+ * Administration → Unit Type Bengali Text Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Unit Type Management
+ * 📍 Purpose: Bengali that is easy to damage - conjuncts, a zero-width
+ *    joiner (র<ZWJ>্য), a vowel sign typed as two code points - comes back
+ *    unchanged from grid, edit form and export
+ *
+ * ✅ When to use: Unit type storage, grid, export or font changes
+ * ✅ Uses: cleanup fixture - the record created here is deleted at
+ *    teardown
+ *
+ * 📍 Page Objects: pages/administration/unit-type/unit-type-*.page.js
+ * 📍 Test Data: test-data/unit-types.csv (fourth row, Bengali replaced)
+ */
+const { test } = require('../../fixtures');
+const { loadTestData } = require('../../../utils/data-loader');
+const { uniqueSuffixFor } = require('../../../utils/unique-data');
+const unitTypeSchema = require('../../../test-data/schemas/unit-types.schema');
+
+const [, , , csvRow] = loadTestData('./test-data/unit-types.csv', {
+  schema: unitTypeSchema,
+  unique: ['Name (English)', 'Short Name (English)'],
+});
+
+const unitType = {
+  ...csvRow,
+  // ZWJ after র (র<ZWJ>্য "rya-phala" form) and several conjuncts
+  'Name (Bangla)': `র\u200D্যাপিড অ্যাকশন ব্যাটালিয়ন${uniqueSuffixFor('র')}`,
+  // "ো" as two code points (NFD): equal to the one-code-point form
+  'Short Name (Bangla)': `${'ক্ষেত্র বোর্ড'.normalize('NFD')}${uniqueSuffixFor('ক')}`,
+};
+
+test.describe('Administration → Unit Type Bengali Text', () => {
+  test.beforeEach(async ({ unitTypeList, unitTypeForm }) => {
+    await unitTypeList.clickCreate();
+    await unitTypeForm.fillForm(unitType);
+    await unitTypeForm.save();
+    await unitTypeList.navigate();
+  });
+
+  test('should show Bengali unchanged in the grid', async ({
+    unitTypeList,
+  }) => {
+    await unitTypeList.expectShownInGrid(unitType);
+  });
+
+  test('should keep Bengali unchanged in the edit form', async ({
+    unitTypeForm,
+  }) => {
+    await unitTypeForm.expectSavedAs(unitType);
+  });
+
+  test('should export Bengali unchanged', async ({
+    unitTypeList,
+  }, testInfo) => {
+    await unitTypeList.expectExportedAs(unitType, {
+      dir: testInfo.outputPath(),
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// tests/administration/unit-type/unit-type-duplicates.spec.js
+/**
+ * Administration → Unit Type Duplicate Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Unit Type Management
+ * 📍 Purpose: A name or short name that matches an existing one except
+ *    for case or spacing is refused as a server conflict and creates
+ *    nothing, and the form saves once the duplicate is changed. Exact
+ *    duplicates are generated from the "unique" rules in
+ *    test-data/rules/unit-type-form.rules.js (unit-type-validation.spec.js)
+ *
+ * ✅ When to use: Unit type unique checks or save error handling changes
+ * ✅ Uses: cleanup fixture - the existing record (and anything saved
+ *    despite the conflict) is deleted at teardown
+ *
+ * 📍 Page Objects: pages/administration/unit-type/unit-type-*.page.js
+ * 📍 Test Data: test-data/unit-types.csv (fifth row)
+ */
+const { test, expect } = require('../../fixtures');
+const { loadTestData } = require('../../../utils/data-loader');
+const { variantOf } = require('../../../utils/validation-rules');
+const { SAVE_OUTCOMES } = require('../../../utils/save-outcome');
+const unitTypeSchema = require('../../../test-data/schemas/unit-types.schema');
+
+const UNIQUE_COLUMNS = [
+  'Name (English)',
+  'Name (Bangla)',
+  'Short Name (English)',
+  'Short Name (Bangla)',
+];
+
+const [, , , , existing] = loadTestData('./test-data/unit-types.csv', {
+  schema: unitTypeSchema,
+  unique: UNIQUE_COLUMNS,
+});
+
+/**
+ * Row repeating one column of the existing record (as given by change),
+ * every other unique column new
+ */
+function duplicateOf(column, change = (value) => value) {
+  const row = { ...existing };
+  for (const other of UNIQUE_COLUMNS) {
+    row[other] =
+      other === column ? change(existing[other]) : variantOf(existing[other]);
+  }
+  return row;
+}
+
+const spaced = (value) => `  ${value.split(' ').join('   ')}  `;
+
+const CASES = [
+  {
+    title: 'Name (English) differing only in case',
+    column: 'Name (English)',
+    row: duplicateOf('Name (English)', (value) => value.toUpperCase()),
+  },
+  {
+    title: 'Short Name (English) differing only in case',
+    column: 'Short Name (English)',
+    row: duplicateOf('Short Name (English)', (value) => value.toLowerCase()),
+  },
+  {
+    title: 'Name (English) differing only in spacing',
+    column: 'Name (English)',
+    row: duplicateOf('Name (English)', spaced),
+  },
+  {
+    title: 'Name (Bangla) differing only in spacing',
+    column: 'Name (Bangla)',
+    row: duplicateOf('Name (Bangla)', spaced),
+  },
+];
+
+test.describe('Administration → Unit Type Duplicates', () => {
+  test.beforeEach(async ({ unitTypeList, unitTypeForm }) => {
+    await unitTypeList.clickCreate();
+    await unitTypeForm.fillForm(existing);
+    await unitTypeForm.save();
+    await unitTypeList.navigate();
+  });
+
+  for (const { title, column, row } of CASES) {
+    test(`should refuse ${title} as a conflict`, async ({
+      unitTypeList,
+      unitTypeForm,
+    }) => {
+      await unitTypeList.clickCreate();
+      await unitTypeForm.fillForm(row);
+      const result = await unitTypeForm.attemptSave();
+
+      expect(result.outcome, `Save result: ${JSON.stringify(result)}`).toBe(
+        SAVE_OUTCOMES.CONFLICT,
+      );
+
+      // Look the row up by a column that is new in it
+      const probe =
+        column === 'Name (English)' ? 'Short Name (English)' : 'Name (English)';
+      await unitTypeList.navigate();
+      const created = await unitTypeList.countUnitTypesWith(probe, row[probe]);
+      if (created > 0) {
+        unitTypeForm.registerForCleanup(row['Name (English)']);
+      }
+      expect(created, `${title} was saved despite the conflict`).toBe(0);
+    });
+  }
+
+  test('should save normally once the duplicate is changed', async ({
+    unitTypeList,
+    unitTypeForm,
+  }) => {
+    const row = duplicateOf('Name (English)');
+
+    await unitTypeList.clickCreate();
+    await unitTypeForm.fillForm(row);
+    expect((await unitTypeForm.attemptSave()).outcome).toBe(
+      SAVE_OUTCOMES.CONFLICT,
+    );
+
+    // Still on the form: fix the name and save again
+    await unitTypeForm.fillForm({
+      'Name (English)': variantOf(row['Name (English)']),
+    });
+    const result = await unitTypeForm.save();
+    expect(result.outcome).toBe(SAVE_OUTCOMES.SUCCESS);
+  });
+});
@@ -0,0 +1,100 @@
+// tests/administration/unit-type/unit-type-edit.spec.js
+/**
+ * Administration → Unit Type Edit Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Unit Type Management
+ * 📍 Purpose: Open an existing unit type, change it, check the list
+ *
+ * ✅ When to use: Unit type edit form or list row action changes
+ * ✅ Uses: cleanup fixture - the record created here is deleted at
+ *    teardown, under its new name if the test renamed it
+ *
+ * 📍 Page Objects: pages/administration/unit-type/unit-type-*.page.js
+ * 📍 Test Data: test-data/unit-types.csv (first row)
+ */
+const { test, expect } = require('../../fixtures');
+const { loadTestData } = require('../../../utils/data-loader');
+const unitTypeSchema = require('../../../test-data/schemas/unit-types.schema');
+
+const [unitType] = loadTestData('./test-data/unit-types.csv', {
+  schema: unitTypeSchema,
+  unique: [
+    'Name (English)',
+    'Name (Bangla)',
+    'Short Name (English)',
+    'Short Name (Bangla)',
+  ],
+});
+const name = unitType['Name (English)'];
+
+test.describe('Administration → Unit Type Edit', () => {
+  test.beforeEach(async ({ unitTypeList, unitTypeForm }) => {
+    await unitTypeList.clickCreate();
+    await unitTypeForm.fillForm(unitType);
+    await unitTypeForm.save();
+    await unitTypeList.navigate();
+  });
+
+  test('should open existing unit type with its saved values', async ({
+    unitTypeList,
+    unitTypeForm,
+  }) => {
+    await unitTypeList.editUnitType(name);
+    await unitTypeForm.expectEditMode();
+
+    const current = await unitTypeForm.readForm();
+    expect(current).toMatchObject({
+      'Name (English)': name,
+      'Name (Bangla)': unitType['Name (Bangla)'],
+      'Short Name (English)': unitType['Short Name (English)'],
+      Category: unitType['Category'],
+      Service: unitType['Service'],
+      Type: unitType['Type'],
+    });
+  });
+
+  test('should update chosen fields and keep the rest', async ({
+    unitTypeList,
+    unitTypeForm,
+  }) => {
+    await unitTypeList.editUnitType(name);
+    await unitTypeForm.expectEditMode();
+    const before = await unitTypeForm.readForm();
+
+    const changes = {
+      'Short Name (English)': `${unitType['Short Name (English)']} ED`,
+      Category: unitType['Category'] === 'Arms' ? 'Service' : 'Arms',
+      'Is Depot': !before['Is Depot'],
+    };
+    await unitTypeForm.fillForm(changes);
+    await unitTypeForm.save();
+
+    // List shows the change
+    await unitTypeList.search(name);
+    expect(await unitTypeList.getUnitTypeRow(name)).toMatchObject({
+      'Short Name (English)': changes['Short Name (English)'],
+      Category: changes.Category,
+    });
+
+    // Reopened form: changed fields saved, nothing else touched
+    await unitTypeList.editUnitType(name);
+    await unitTypeForm.expectEditMode();
+    expect(await unitTypeForm.readForm()).toEqual({ ...before, ...changes });
+  });
+
+  test('should rename unit type', async ({ unitTypeList, unitTypeForm }) => {
+    const newName = `${name} Renamed`;
+
+    await unitTypeList.editUnitType(name);
+    await unitTypeForm.expectEditMode();
+    await unitTypeForm.fillForm({ 'Name (English)': newName });
+    await unitTypeForm.save();
+
+    await unitTypeList.search(newName);
+    await expect(await unitTypeList.rowByExactName(newName)).toBeVisible();
+
+    await unitTypeList.search(name);
+    await expect(await unitTypeList.rowByExactName(name)).toHaveCount(0);
+  });
+});
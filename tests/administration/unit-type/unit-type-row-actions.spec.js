@@ -0,0 +1,106 @@
+// tests/administration/unit-type/unit-type-row-actions.spec.js
+/**
+ * Administration → Unit Type Row Action Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Unit Type Management
+ * 📍 Purpose: View, delete and active toggle from the grid, including
+ *    both answers of the confirmation dialog
+ *
+ * ✅ When to use: Unit type grid or confirmation dialog changes
+ * ✅ Uses: cleanup fixture - records this spec deletes itself are
+ *    dropped from teardown (UnitTypeListPage.deleteUnitType)
+ *
+ * 📍 Page Objects: pages/administration/unit-type/unit-type-*.page.js
+ * 📍 Test Data: test-data/unit-types.csv (second row)
+ */
+const { test, expect } = require('../../fixtures');
+const { loadTestData } = require('../../../utils/data-loader');
+const unitTypeSchema = require('../../../test-data/schemas/unit-types.schema');
+
+const [, unitType] = loadTestData('./test-data/unit-types.csv', {
+  schema: unitTypeSchema,
+  unique: [
+    'Name (English)',
+    'Name (Bangla)',
+    'Short Name (English)',
+    'Short Name (Bangla)',
+  ],
+});
+const name = unitType['Name (English)'];
+
+test.describe('Administration → Unit Type Row Actions', () => {
+  test.beforeEach(async ({ unitTypeList, unitTypeForm }) => {
+    await unitTypeList.clickCreate();
+    await unitTypeForm.fillForm(unitType);
+    await unitTypeForm.save();
+    await unitTypeList.navigate();
+  });
+
+  test('should view unit type read-only', async ({
+    unitTypeList,
+    unitTypeForm,
+  }) => {
+    await unitTypeList.viewUnitType(name);
+    await unitTypeForm.expectViewMode();
+
+    await expect(unitTypeForm.nameEn).toBeDisabled();
+    expect(await unitTypeForm.readForm()).toMatchObject({
+      'Name (English)': name,
+      'Short Name (English)': unitType['Short Name (English)'],
+      Category: unitType['Category'],
+    });
+  });
+
+  test('should keep unit type when delete is cancelled', async ({
+    page,
+    unitTypeList,
+  }) => {
+    await unitTypeList.cancelDeleteUnitType(name);
+
+    await page.reload();
+    await unitTypeList.search(name);
+    await expect(await unitTypeList.rowByExactName(name)).toBeVisible();
+  });
+
+  test('should delete unit type after confirmation', async ({
+    page,
+    unitTypeList,
+  }) => {
+    await unitTypeList.deleteUnitType(name);
+
+    // Gone from the server, not just from the rendered grid
+    await page.reload();
+    await unitTypeList.search(name);
+    await expect(await unitTypeList.rowByExactName(name)).toHaveCount(0);
+  });
+
+  test.describe('Active toggle', () => {
+    test.beforeEach(async ({ unitTypeList }) => {
+      test.skip(
+        !(await unitTypeList.hasActiveToggle(name)),
+        'Unit type grid has no active toggle',
+      );
+    });
+
+    test('should deactivate unit type after confirmation', async ({
+      page,
+      unitTypeList,
+    }) => {
+      await unitTypeList.setUnitTypeActive(name, false);
+
+      await page.reload();
+      expect(await unitTypeList.isUnitTypeActive(name)).toBe(false);
+    });
+
+    test('should keep unit type active when toggle is cancelled', async ({
+      page,
+      unitTypeList,
+    }) => {
+      await unitTypeList.setUnitTypeActive(name, false, { confirm: false });
+
+      await page.reload();
+      expect(await unitTypeList.isUnitTypeActive(name)).toBe(true);
+    });
+  });
+});
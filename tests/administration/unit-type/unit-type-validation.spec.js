@@ -0,0 +1,86 @@
+// tests/administration/unit-type/unit-type-validation.spec.js
+/**
+ * Administration → Unit Type Validation Tests
+ *
+ * 📍 Module: Administration
+ * 📍 Feature: Unit Type Management
+ * 📍 Purpose: One negative test per declared validation rule - submit
+ *    the violating value, expect the field error, expect no new record
+ *
+ * ✅ When to use: Unit type form validation changes. Add or change a
+ *    rule in test-data/rules/unit-type-form.rules.js, not here
+ * ✅ Uses: cleanup fixture - the existing record of the duplicate tests
+ *    (and anything saved despite an error) is deleted at teardown
+ *
+ * 📍 Page Objects: pages/administration/unit-type/unit-type-*.page.js
+ * 📍 Test Data: test-data/unit-types.csv (third row, valid base row),
+ *    test-data/rules/unit-type-form.rules.js
+ */
+const { test, expect } = require('../../fixtures');
+const { loadTestData } = require('../../../utils/data-loader');
+const { buildViolations } = require('../../../utils/validation-rules');
+const { assertFormFieldError } = require('../../../utils/assertions');
+const { SAVE_OUTCOMES } = require('../../../utils/save-outcome');
+const unitTypeSchema = require('../../../test-data/schemas/unit-types.schema');
+const unitTypeRules = require('../../../test-data/rules/unit-type-form.rules');
+const UNIT_TYPE_FIELDS = require('../../../pages/administration/unit-type/unit-type-form.fields');
+
+const [, , unitType] = loadTestData('./test-data/unit-types.csv', {
+  schema: unitTypeSchema,
+  unique: [
+    'Name (English)',
+    'Name (Bangla)',
+    'Short Name (English)',
+    'Short Name (Bangla)',
+  ],
+});
+
+const violations = buildViolations(unitTypeRules, unitType, UNIT_TYPE_FIELDS);
+
+test.describe('Administration → Unit Type Validation', () => {
+  for (const violation of violations) {
+    test(`should refuse ${violation.title}`, async ({
+      page,
+      unitTypeList,
+      unitTypeForm,
+    }) => {
+      if (violation.needsExisting) {
+        await unitTypeList.clickCreate();
+        await unitTypeForm.fillForm(unitType);
+        await unitTypeForm.save();
+        await unitTypeList.navigate();
+      }
+
+      // Look the record up by a column this violation leaves valid
+      const probe =
+        violation.column === 'Name (English)'
+          ? 'Short Name (English)'
+          : 'Name (English)';
+      const probeValue = violation.row[probe];
+      const before = await unitTypeList.countUnitTypesWith(probe, probeValue);
+
+      await unitTypeList.navigate();
+      await unitTypeList.clickCreate();
+      await unitTypeForm.fillForm(violation.row);
+      const result = await unitTypeForm.attemptSave();
+
+      // Duplicates are refused by the server, everything else by validation
+      expect(result.outcome).toBe(
+        violation.rule === 'unique'
+          ? SAVE_OUTCOMES.CONFLICT
+          : SAVE_OUTCOMES.VALIDATION,
+      );
+      await assertFormFieldError(page, violation.field, violation.message);
+
+      await unitTypeList.navigate();
+      const after = await unitTypeList.countUnitTypesWith(probe, probeValue);
+      // Saved although reported as refused: attemptSave didn't register it
+      if (after > before && result.outcome !== SAVE_OUTCOMES.SUCCESS) {
+        unitTypeForm.registerForCleanup(violation.row['Name (English)']);
+      }
+      expect(after, `${violation.title} was saved despite the error`).toBe(
+        before,
+      );
+    });
+  }
+});
@@ -23,61 +23,147 @@
  * 📍 Page Objects: pages/administration/unit-type/unit-type-*.page.js
  * 📍 Test Data: test-data/unit-types.csv
  */
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../../../pages/auth/login.page');
-const UnitTypeListPage = require('../../../pages/administration/unit-type/unit-type-list.page');
-const UnitTypeFormPage = require('../../../pages/administration/unit-type/unit-type-form.page');
+const { test, expect } = require('../../fixtures');
 
+// unitTypeList: already on /administration/unit-types with the saved session
 test.describe('Administration → Unit Type Management', () => {
-  let loginPage;
-  let listPage;
-  let formPage;
-
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
-    listPage = new UnitTypeListPage(page);
-    formPage = new UnitTypeFormPage(page);
-
-    // Start from landing page and login
-    await loginPage.gotoLoginPage();
-    await loginPage.login(
-      process.env.SUPERADMIN_USERNAME || 'main.superadmin',
-      process.env.SUPERADMIN_PASSWORD || 'Ordiss@SA',
-    );
+  test('should display unit type list page', async ({ unitTypeList }) => {
+    await unitTypeList.expectOnPage();
+  });
+
+  test('should open create unit type form', async ({
+    unitTypeList,
+    unitTypeForm,
+  }) => {
+    await unitTypeList.clickCreate();
+    await unitTypeForm.expectOnPage();
 
-    // Navigate to unit types
-    await listPage.navigate();
+    // Verify form fields are visible
+    await expect(unitTypeForm.nameEn).toBeVisible();
+    await expect(unitTypeForm.categorySelect).toBeVisible();
+    await expect(unitTypeForm.createButton).toBeVisible();
   });
 
-  test('should display unit type list page', async () => {
-    await listPage.expectOnPage();
+  test('should fail loudly on options the form does not offer', async ({
+    unitTypeList,
+    unitTypeForm,
+  }) => {
+    await unitTypeList.clickCreate();
+    await unitTypeForm.expectOnPage();
+
+    await expect(
+      unitTypeForm.category.select('No Such Category'),
+    ).rejects.toThrow('Option "No Such Category" not in Category');
+    await expect(unitTypeForm.corps.add('No Such Corps')).rejects.toThrow(
+      '"No Such Corps" not offered by Corps',
+    );
+    expect(await unitTypeForm.corps.read()).toEqual([]);
   });
 
-  test('should open create unit type form', async () => {
-    await listPage.clickCreate();
-    await formPage.expectOnPage();
+  test('should reject data columns the form has no field for', async ({
+    unitTypeList,
+    unitTypeForm,
+  }) => {
+    await unitTypeList.clickCreate();
+    await unitTypeForm.expectOnPage();
 
-    // Verify form fields are visible
-    await expect(formPage.nameEn).toBeVisible();
-    await expect(formPage.categorySelect).toBeVisible();
-    await expect(formPage.saveBtn).toBeVisible();
+    // Old page object keys: silently skipped before the field map
+    await expect(
+      unitTypeForm.fillForm({ 'Name (Bengali)': 'x', Depot: 'Yes' }),
+    ).rejects.toThrow('no field for columns "Name (Bengali)", "Depot"');
+    await expect(unitTypeForm.nameBn).toHaveValue('');
   });
 
-  test('should search and filter unit types', async () => {
+  test('should search and filter unit types', async ({ unitTypeList }) => {
     // Search for a unit type
-    await listPage.search('Army');
+    await unitTypeList.search('Army');
 
     // Verify search input has the value
-    const searchValue = await listPage.searchInput.inputValue();
+    const searchValue = await unitTypeList.searchInput.inputValue();
     expect(searchValue).toContain('Army');
   });
 
-  test('should handle form cancellation', async () => {
-    await listPage.clickCreate();
-    await formPage.nameEn.fill('Cancel Test');
-    await formPage.cancel();
+  test('should read grid rows by column name', async ({ unitTypeList }) => {
+    const headers = await unitTypeList.table.headers();
+    expect(headers).toEqual(
+      expect.arrayContaining(['Name (English)', 'Category', 'Type']),
+    );
+
+    const rows = await unitTypeList.table.readRows();
+    for (const row of rows) {
+      expect(Object.keys(row)).toEqual(headers);
+    }
+  });
+
+  test('should sort unit types by Name (English)', async ({ unitTypeList }) => {
+    const { table } = unitTypeList;
+
+    for (const direction of ['asc', 'desc']) {
+      await table.sortBy('Name (English)', direction);
+      expect(await table.sortState()).toEqual({
+        column: 'Name (English)',
+        direction,
+      });
+
+      const names = (await table.readRows()).map(
+        (row) => row['Name (English)'],
+      );
+      const sorted = [...names].sort((a, b) => a.localeCompare(b));
+      expect(names).toEqual(direction === 'asc' ? sorted : sorted.reverse());
+    }
+  });
+
+  test.describe('Pagination', () => {
+    // Smallest page size: most pages to walk
+    test.beforeEach(async ({ unitTypeList }) => {
+      const { table } = unitTypeList;
+      test.skip(!(await table.hasPaginator()), 'Grid has no paginator');
+      await table.setPageSize(Math.min(...(await table.pageSizeOptions())));
+    });
+
+    test('should read every page of the grid', async ({ unitTypeList }) => {
+      const { table } = unitTypeList;
+      const total = await table.totalCount();
+
+      const rows = await table.readAllRows({ maximize: false });
+      expect(rows).toHaveLength(total);
+    });
+
+    test('should find unit type on a later page', async ({ unitTypeList }) => {
+      const { table } = unitTypeList;
+      test.skip(await table.isLastPage(), 'Grid has a single page');
+
+      const rows = await table.readAllRows({ maximize: false });
+      const lastName = rows.at(-1)['Name (English)'];
+
+      // Walk starts again from page 1
+      expect(
+        await table.findRowAcrossPages('Name (English)', lastName, {
+          maximize: false,
+        }),
+      ).toEqual(rows.at(-1));
+      expect(await unitTypeList.isUnitTypeVisible(lastName)).toBe(true);
+    });
+
+    test('should stop at the page limit', async ({ unitTypeList }) => {
+      const { table } = unitTypeList;
+      test.skip(await table.isLastPage(), 'Grid has a single page');
+
+      await expect(
+        table.readAllRows({ maximize: false, maxPages: 1 }),
+      ).rejects.toThrow('Stopped after 1 page');
+    });
+  });
+
+  test('should handle form cancellation', async ({
+    unitTypeList,
+    unitTypeForm,
+  }) => {
+    await unitTypeList.clickCreate();
+    await unitTypeForm.nameEn.fill('Cancel Test');
+    await unitTypeForm.cancel();
 
     // Should be back on list page
-    await listPage.expectOnPage();
+    await unitTypeList.expectOnPage();
   });
 });
@@ -12,26 +12,10 @@
  * 📍 Page Objects: pages/unit/unit-*.page.js
  * 📍 Test Data: test-data/units.csv
  */
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../../../pages/auth/login.page');
+const { test, expect } = require('../../fixtures');
 
 test.describe('Administration → Units Management', () => {
-  let loginPage;
-
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
-
-    // Start from landing page and login
-    await loginPage.gotoLoginPage();
-    await loginPage.login(
-      process.env.SUPERADMIN_USERNAME || 'main.superadmin',
-      process.env.SUPERADMIN_PASSWORD || 'Ordiss@SA',
-    );
-
-    // Note: Units page object and tests to be implemented
-  });
-
-  test.skip('should display units list', async () => {
+  test.skip('should display units list', async ({ unitList }) => {
     // TODO: Implement units tests
   });
 });
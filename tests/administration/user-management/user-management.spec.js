@@ -12,25 +12,9 @@
  * 📍 Page Objects: pages/user-management/user-management-*.page.js
  * 📍 Test Data: test-data/users.csv, test-data/ranks.csv
  */
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../../../pages/auth/login.page');
+const { test, expect } = require('../../fixtures');
 
 test.describe('Administration → User Management', () => {
-  let loginPage;
-
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
-
-    // Start from landing page and login
-    await loginPage.gotoLoginPage();
-    await loginPage.login(
-      process.env.SUPERADMIN_USERNAME || 'main.superadmin',
-      process.env.SUPERADMIN_PASSWORD || 'Ordiss@SA',
-    );
-
-    // Note: User Management page objects and tests to be implemented
-  });
-
   test.skip('should display users list', async () => {
     // TODO: Implement user management tests
   });
@@ -1,6 +1,7 @@
 // tests/auth.setup.js
 const { test } = require('@playwright/test');
 const LoginPage = require('../../pages/auth/login.page');
+const { DEFAULT_ROLE, getAuthFile } = require('../../utils/auth-roles');
 
 test.use({ storageState: undefined });
 
@@ -12,5 +13,5 @@ test('authenticate once', async ({ page }) => {
   );
 
   //
-  await page.context().storageState({ path: 'playwright/.auth/user.json' });
+  await page.context().storageState({ path: getAuthFile(DEFAULT_ROLE) });
 });
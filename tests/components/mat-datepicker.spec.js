@@ -0,0 +1,112 @@
+// tests/components/mat-datepicker.spec.js
+/**
+ * MatDatepicker Component Tests
+ *
+ * ✅ Purpose: The datepicker wrapper types dates in the display format,
+ *    reads them back, clears them and fails loudly on a date the field
+ *    rejects - directly and through the form helper's 'date' field type
+ * ✅ When to use: Changes to pages/components/mat-datepicker.component.js
+ *    or the 'date' type in utils/form-helper.js
+ * ✅ Independent: Renders its own datepicker field (page.setContent), no
+ *    server and no login needed
+ *
+ * 📍 Component: pages/components/mat-datepicker.component.js
+ */
+const { test, expect } = require('@playwright/test');
+const MatDatepicker = require('../../pages/components/mat-datepicker.component');
+const { fillFields, readFields } = require('../../utils/form-helper');
+
+test.use({ storageState: { cookies: [], origins: [] } });
+
+// mat-form-field with a matDatepicker input
+const DATE_FIELD = `
+  <mat-form-field class="mat-form-field">
+    <label for="effective-from">Effective From</label>
+    <input id="effective-from" class="mat-input-element mat-datepicker-input">
+    <mat-error class="mat-error" hidden>Enter a valid date</mat-error>
+  </mat-form-field>`;
+
+// Like the app: the typed DD/MM/YYYY text is parsed on blur and an
+// impossible date shows the mat-error
+const DD_MM_YYYY_PARSER = `
+  <script>
+    {
+      const input = document.getElementById('effective-from');
+      const error = document.querySelector('mat-error');
+      input.addEventListener('blur', () => {
+        const text = input.value.trim();
+        const match = text.match(/^(\\d{2})\\/(\\d{2})\\/(\\d{4})$/);
+        const date = match && new Date(+match[3], +match[2] - 1, +match[1]);
+        error.hidden =
+          text === '' ||
+          Boolean(date && date.getDate() === +match[1] && date.getMonth() === +match[2] - 1);
+      });
+    }
+  </script>`;
+
+test.describe('MatDatepicker', () => {
+  let datepicker;
+
+  test.beforeEach(async ({ page }) => {
+    await page.setContent(DATE_FIELD + DD_MM_YYYY_PARSER);
+    datepicker = new MatDatepicker(page, page.getByLabel('Effective From'), {
+      label: 'Effective From',
+    });
+  });
+
+  test('should type an ISO date in the display format', async () => {
+    await datepicker.set('2024-07-01');
+    expect(await datepicker.read()).toBe('01/07/2024');
+  });
+
+  test('should accept a Date object', async () => {
+    await datepicker.set(new Date(2025, 11, 31));
+    expect(await datepicker.read()).toBe('31/12/2025');
+  });
+
+  test('should use another display format when given', async ({ page }) => {
+    await page.setContent(DATE_FIELD);
+    const isoField = new MatDatepicker(
+      page,
+      page.getByLabel('Effective From'),
+      {
+        format: 'YYYY-MM-DD',
+      },
+    );
+
+    await isoField.set(new Date(2024, 0, 5));
+    expect(await isoField.read()).toBe('2024-01-05');
+  });
+
+  test('should clear the date', async () => {
+    await datepicker.set('2024-07-01');
+    await datepicker.clear();
+    expect(await datepicker.read()).toBe('');
+  });
+
+  test('should fail loudly on a date the field rejects', async () => {
+    await expect(datepicker.set('31/02/2024')).rejects.toThrow(
+      'Effective From rejected "31/02/2024": Enter a valid date',
+    );
+  });
+
+  test('should fill and read the date through the form helper', async () => {
+    const form = { effectiveFrom: datepicker };
+    const fieldMap = {
+      'Effective From': { control: 'effectiveFrom', type: 'date' },
+    };
+
+    await fillFields(
+      form,
+      { 'Effective From': '2024-03-15' },
+      fieldMap,
+      'Form',
+    );
+    expect(await readFields(form, fieldMap)).toEqual({
+      'Effective From': '15/03/2024',
+    });
+
+    await fillFields(form, { 'Effective From': '' }, fieldMap, 'Form');
+    expect(await datepicker.read()).toBe('');
+  });
+});
@@ -0,0 +1,250 @@
+// tests/fixtures/index.js
+/**
+ * Shared Test Fixtures
+ *
+ * 📚 PURPOSE:
+ * Extends Playwright's test with project fixtures.
+ * Specs import test/expect from here instead of @playwright/test.
+ *
+ * 👥 ROLE FIXTURES:
+ * - role    → which saved session the default page uses (default: superadmin)
+ * - asRole  → open an extra page logged in as another role
+ * - Pages from both re-authenticate on their own if bounced to /login
+ *   (see BasePage.gotoAuthenticated)
+ *
+ * 📼 HAR FIXTURE (automatic):
+ * - HAR_MODE=record → saves each test's traffic under test-data/har/
+ * - HAR_MODE=replay → serves it back, no server needed
+ * - asRole pages are recorded/replayed too, one file per role
+ * - See utils/har-recorder.js
+ *
+ * 🧹 CLEANUP FIXTURES (automatic):
+ * - Page objects register what they create (utils/cleanup-registry.js)
+ * - Deleted newest-first at test teardown, or at worker teardown with
+ *   test.use({ cleanupScope: 'worker' })
+ * - Failed deletions fail the test/worker with the list of leftovers
+ *
+ * 🧩 PAGE OBJECT FIXTURES:
+ * - Built on the saved session (no login in beforeEach)
+ * - List/canvas pages are already navigated when the test starts
+ * - unitTypeList, unitTypeForm, unitList, unitForm,
+ *   permissionGroupList, permissionGroupForm, organogram,
+ *   nodeContextMenu (on the organogram canvas), manpower (node
+ *   configuration; open(label) first)
+ *
+ * 💡 EXAMPLE:
+ * const { test, expect } = require('../../fixtures');
+ *
+ * test('should open create form', async ({ unitTypeList, unitTypeForm }) => {
+ *   await unitTypeList.clickCreate();
+ *   await unitTypeForm.expectOnPage();
+ * });
+ *
+ * test.describe('Admin boundaries', () => {
+ *   test.use({ role: 'admin' });
+ *
+ *   test('admin cannot see X', async ({ page, asRole }) => {
+ *     const superadminPage = await asRole('superadmin');
+ *     // page → admin session, superadminPage → superadmin session
+ *   });
+ * });
+ */
+const base = require('@playwright/test');
+const fs = require('fs');
+const { DEFAULT_ROLE, getAuthFile } = require('../../utils/auth-roles');
+const { registerSession } = require('../../utils/auth-session');
+const { getHarMode, attachHar } = require('../../utils/har-recorder');
+const {
+  CleanupRegistry,
+  attachCleanupRegistry,
+} = require('../../utils/cleanup-registry');
+const UnitTypeListPage = require('../../pages/administration/unit-type/unit-type-list.page');
+const UnitTypeFormPage = require('../../pages/administration/unit-type/unit-type-form.page');
+const UnitListPage = require('../../pages/administration/unit/unit-list.page');
+const UnitFormPage = require('../../pages/administration/unit/unit-form.page');
+const PermissionGroupListPage = require('../../pages/administration/role-permission/permission-group-list.page');
+const PermissionGroupFormPage = require('../../pages/administration/role-permission/permission-group-form.page');
+const OrganogramCanvasPage = require('../../pages/administration/organogram/organogram-canvas.page');
+const NodeContextMenuPage = require('../../pages/administration/organogram/node-context-menu.page');
+const ManpowerPage = require('../../pages/administration/organogram/node-config/manpower.page');
+
+/**
+ * Resolve storage state file for role
+ * Fails with a clear message if global-setup did not save it
+ */
+function resolveAuthFile(role) {
+  const authFile = getAuthFile(role);
+  if (!fs.existsSync(authFile)) {
+    throw new Error(
+      `❌ No saved session for role "${role}" (${authFile}). ` +
+        'Check its credentials in .env - global-setup skips roles without them',
+    );
+  }
+  return authFile;
+}
+
+/**
+ * Storage state for role
+ * Replay serves responses from the recording - a saved session is optional
+ */
+function resolveStorageState(role) {
+  if (getHarMode() === 'replay' && !fs.existsSync(getAuthFile(role))) {
+    return { cookies: [], origins: [] };
+  }
+  return resolveAuthFile(role);
+}
+
+const test = base.test.extend({
+  // 👥 Role used for the default context/page
+  role: [DEFAULT_ROLE, { option: true }],
+
+  storageState: async ({ role }, use) => {
+    await use(resolveStorageState(role));
+  },
+
+  // 📼 HAR record/replay of backend traffic (HAR_MODE=live|record|replay)
+  har: [
+    async ({ context, baseURL }, use, testInfo) => {
+      const har = await attachHar(context, testInfo, { baseURL });
+      await use(har);
+      har.verify();
+    },
+    { auto: true },
+  ],
+
+  // 🔐 Register role so BasePage can re-authenticate if bounced to /login
+  page: async ({ page, role }, use, testInfo) => {
+    registerSession(page, { role, testInfo });
+    await use(page);
+  },
+
+  // 👥 Open a page as another role: const adminPage = await asRole('admin');
+  asRole: async ({ browser, baseURL, ignoreHTTPSErrors }, use, testInfo) => {
+    const sessions = [];
+
+    await use(async (role) => {
+      const context = await browser.newContext({
+        baseURL,
+        ignoreHTTPSErrors,
+        storageState: resolveStorageState(role),
+      });
+      // Own HAR file per role (a second page of the same role: <role>-2)
+      const opened = sessions.filter((session) => session.role === role);
+      const variant = opened.length ? `${role}-${opened.length + 1}` : role;
+      const har = await attachHar(context, testInfo, { baseURL, variant });
+      sessions.push({ role, context, har });
+
+      const page = await context.newPage();
+      registerSession(page, { role, testInfo });
+      return page;
+    });
+
+    // Closing writes the recording: verify first, close every context anyway
+    try {
+      for (const { har } of sessions) {
+        har.verify();
+      }
+    } finally {
+      for (const { context } of sessions) {
+        await context.close();
+      }
+    }
+  },
+
+  // 🧹 Created-entity cleanup: 'test' (default) or 'worker'
+  cleanupScope: ['test', { option: true }],
+
+  // 🧹 Worker registry: deleted on a fresh superadmin page when the worker ends
+  workerCleanup: [
+    async ({ browser }, use, workerInfo) => {
+      const registry = new CleanupRegistry('worker');
+      await use(registry);
+
+      if (registry.size === 0) {
+        return;
+      }
+
+      const { baseURL, ignoreHTTPSErrors } = workerInfo.project.use;
+      const context = await browser.newContext({
+        baseURL,
+        ignoreHTTPSErrors,
+        storageState: resolveStorageState(DEFAULT_ROLE),
+      });
+      const page = await context.newPage();
+      registerSession(page, { role: DEFAULT_ROLE });
+
+      try {
+        await registry.runAllOrThrow(page);
+      } finally {
+        await context.close();
+      }
+    },
+    { scope: 'worker' },
+  ],
+
+  // 🧹 Registry page objects register created entities into (newest deleted first)
+  cleanup: [
+    async ({ page, cleanupScope, workerCleanup }, use) => {
+      const registry =
+        cleanupScope === 'worker' ? workerCleanup : new CleanupRegistry('test');
+      attachCleanupRegistry(page, registry);
+
+      await use(registry);
+
+      if (cleanupScope === 'test') {
+        await registry.runAllOrThrow(page);
+      }
+    },
+    { auto: true },
+  ],
+
+  // 🧩 Unit Type
+  unitTypeList: async ({ page }, use) => {
+    const unitTypeList = new UnitTypeListPage(page);
+    await unitTypeList.navigate();
+    await use(unitTypeList);
+  },
+
+  unitTypeForm: async ({ page }, use) => {
+    await use(new UnitTypeFormPage(page));
+  },
+
+  // 🧩 Units
+  unitList: async ({ page }, use) => {
+    const unitList = new UnitListPage(page);
+    await unitList.navigate();
+    await use(unitList);
+  },
+
+  unitForm: async ({ page }, use) => {
+    await use(new UnitFormPage(page));
+  },
+
+  // 🧩 Roles & Permissions
+  permissionGroupList: async ({ page }, use) => {
+    const permissionGroupList = new PermissionGroupListPage(page);
+    await permissionGroupList.navigate();
+    await use(permissionGroupList);
+  },
+
+  permissionGroupForm: async ({ page }, use) => {
+    await use(new PermissionGroupFormPage(page));
+  },
+
+  // 🧩 Organogram
+  organogram: async ({ page }, use) => {
+    const organogram = new OrganogramCanvasPage(page);
+    await organogram.navigate();
+    await use(organogram);
+  },
+
+  nodeContextMenu: async ({ organogram, page }, use) => {
+    await use(new NodeContextMenuPage(page));
+  },
+
+  manpower: async ({ page }, use) => {
+    await use(new ManpowerPage(page));
+  },
+});
+
+module.exports = { test, expect: base.expect };
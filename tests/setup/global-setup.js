@@ -5,44 +5,147 @@
  *
  * ✅ Why this pattern?
  * - Reduces test execution time: Login once, reuse across all tests
- * - Caches auth for 1 hour, reducing server load
+ * - Reuses saved auth while the server still accepts it, reducing server load
  * - Follows Playwright best practices
  * - Tests focus on feature testing, not auth flow
+ *
+ * 🔍 Cache validation (per role):
+ * - Expired cookies / JWTs in the saved state → log in again
+ * - Probe a protected page (AUTH_PROBE_PATH) → bounced to /login = log in again
+ * - The reason for dropping the cache is printed
+ *
+ * 🏷️ Sets TEST_RUN_ID once so every worker shares it (utils/unique-data.js)
+ *
+ * 📼 HAR_MODE=replay skips authentication (no server involved)
+ *
+ * 👥 Roles:
+ * - One storage state per configured role (see utils/auth-roles.js)
+ * - playwright/.auth/superadmin.json, playwright/.auth/admin.json, ...
+ * - Specs pick a role with test.use({ role: 'admin' }) (tests/fixtures)
  */
 require('dotenv').config();
 const { chromium } = require('@playwright/test');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConfiguredRoles,
+  getCredentials,
+  getAuthFile,
+} = require('../../utils/auth-roles');
+const { getHarMode } = require('../../utils/har-recorder');
+const { getRunId } = require('../../utils/unique-data');
+
+// Protected page used to probe a saved session | override with AUTH_PROBE_PATH
+const AUTH_PROBE_PATH =
+  process.env.AUTH_PROBE_PATH || '/administration/unit-types';
+
+/**
+ * Read expiry (ms) from a JWT-looking value, null if not a JWT
+ */
+function getJwtExpiry(value) {
+  const parts = String(value || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
 
-async function globalSetup() {
-  const authFile = 'playwright/.auth/user.json';
-
-  // Check if auth file already exists and is recent (less than 1 hour old)
-  if (fs.existsSync(authFile)) {
-    const stats = fs.statSync(authFile);
-    const ageInMinutes = (Date.now() - stats.mtimeMs) / 1000 / 60;
-
-    if (ageInMinutes < 60) {
-      console.log(
-        '✓ Using existing authentication (age: ' +
-          Math.round(ageInMinutes) +
-          ' minutes)',
-      );
-      return;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Offline check of saved cookies and tokens
+ * @returns {string|null} Reason the state is unusable, null if it looks valid
+ */
+function findExpiredCredential(state) {
+  const now = Date.now();
+
+  for (const cookie of state.cookies || []) {
+    // expires = -1 → session cookie (no expiry)
+    if (cookie.expires > 0 && cookie.expires * 1000 <= now) {
+      return `cookie "${cookie.name}" expired at ${new Date(cookie.expires * 1000).toISOString()}`;
+    }
+
+    const jwtExpiry = getJwtExpiry(cookie.value);
+    if (jwtExpiry && jwtExpiry <= now) {
+      return `token in cookie "${cookie.name}" expired at ${new Date(jwtExpiry).toISOString()}`;
     }
   }
 
-  console.log('🔐 Performing authentication...');
+  for (const origin of state.origins || []) {
+    for (const item of origin.localStorage || []) {
+      const jwtExpiry = getJwtExpiry(item.value);
+      if (jwtExpiry && jwtExpiry <= now) {
+        return `token "${item.name}" in localStorage expired at ${new Date(jwtExpiry).toISOString()}`;
+      }
+    }
+  }
 
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({ ignoreHTTPSErrors: true });
+  return null;
+}
+
+/**
+ * Check if saved auth for role still works
+ * 1. File exists and parses
+ * 2. No expired cookie/token
+ * 3. Server accepts it: protected page does not bounce to /login
+ *
+ * @returns {Promise<string|null>} Reason to discard the cache, null if valid
+ */
+async function validateSavedAuth(browser, baseUrl, authFile) {
+  if (!fs.existsSync(authFile)) {
+    return 'no saved session';
+  }
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(authFile, 'utf-8'));
+  } catch (error) {
+    return `saved session is not valid JSON (${error.message})`;
+  }
+
+  const expired = findExpiredCredential(state);
+  if (expired) {
+    return expired;
+  }
+
+  const context = await browser.newContext({
+    ignoreHTTPSErrors: true,
+    storageState: authFile,
+  });
   const page = await context.newPage();
 
   try {
-    const baseUrl = process.env.BASE_URL || 'https://192.168.10.30:700';
-    const username = process.env.SUPERADMIN_USERNAME || 'main.superadmin';
-    const password = process.env.SUPERADMIN_PASSWORD || 'Ordiss@SA';
+    await page.goto(`${baseUrl}${AUTH_PROBE_PATH}`);
+    await page.waitForLoadState('networkidle');
+
+    const loginForm = page.getByRole('textbox', { name: 'Enter user ID' });
+    if (page.url().includes('/login') || (await loginForm.isVisible())) {
+      return `server redirected ${AUTH_PROBE_PATH} to /login (session revoked or server restarted)`;
+    }
 
+    return null;
+  } catch (error) {
+    return `probe of ${AUTH_PROBE_PATH} failed (${error.message})`;
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Log in as role through the landing page and save storage state
+ */
+async function authenticateRole(browser, baseUrl, role) {
+  const authFile = getAuthFile(role);
+  const { username, password } = getCredentials(role);
+
+  const context = await browser.newContext({ ignoreHTTPSErrors: true });
+  const page = await context.newPage();
+
+  try {
     // Navigate to landing page
     await page.goto(`${baseUrl}/landing`);
     await page.waitForLoadState('domcontentloaded');
@@ -77,10 +180,50 @@ async function globalSetup() {
 
     // Save authentication state
     await context.storageState({ path: authFile });
-    console.log('✓ Authentication successful - state saved');
-  } catch (error) {
-    console.error('❌ Authentication failed:', error.message);
-    throw error;
+    console.log(`✓ [${role}] Authentication successful - state saved`);
+  } finally {
+    await context.close();
+  }
+}
+
+async function globalSetup(config) {
+  // baseURL from playwright.config.js (points at mock-server when MOCK_SERVER=true)
+  const baseUrl =
+    config.projects[0]?.use?.baseURL ||
+    process.env.BASE_URL ||
+    'https://192.168.10.30:700';
+  const roles = getConfiguredRoles();
+
+  // One run id for all workers (unique test data suffixes)
+  console.log(`🏷️  Test run id: ${getRunId()}`);
+
+  // Replay serves every request from test-data/har - no server to log in to
+  if (getHarMode() === 'replay') {
+    console.log('📼 HAR replay mode - skipping authentication');
+    return;
+  }
+
+  const browser = await chromium.launch({ headless: true });
+
+  try {
+    for (const role of roles) {
+      const authFile = getAuthFile(role);
+      const reason = await validateSavedAuth(browser, baseUrl, authFile);
+
+      if (!reason) {
+        console.log(`✓ [${role}] Using existing authentication (verified)`);
+        continue;
+      }
+
+      console.log(`🔐 [${role}] Performing authentication: ${reason}`);
+
+      try {
+        await authenticateRole(browser, baseUrl, role);
+      } catch (error) {
+        console.error(`❌ [${role}] Authentication failed:`, error.message);
+        throw error;
+      }
+    }
   } finally {
     await browser.close();
   }
@@ -1,45 +1,49 @@
 // tests/unit-type.spec.js
-const { test, expect } = require('@playwright/test');
-const { readCSV } = require('../utils/csv-reader');
-const UnitTypeListPage = require('../pages/unit-type/unit-type-list.page');
-const UnitTypeFormPage = require('../pages/unit-type/unit-type-form.page');
+// Created unit types are deleted again at teardown (cleanup fixture)
+const { test, expect } = require('./fixtures');
+const { loadTestData } = require('../utils/data-loader');
+const { getOriginal } = require('../utils/unique-data');
+const unitTypeSchema = require('../test-data/schemas/unit-types.schema');
 
-let testData = [];
+// Real reference data: suffix names per run/worker so they don't collide
+const UNIQUE_FIELDS = [
+  'Name (English)',
+  'Name (Bangla)',
+  'Short Name (English)',
+  'Short Name (Bangla)',
+];
 
-test.beforeAll(async () => {
-  try {
-    testData = await readCSV('./test-data/unit-types.csv');
-    if (!Array.isArray(testData) || testData.length === 0) {
-      throw new Error('No test data loaded from CSV');
-    }
-    console.log(`Loaded ${testData.length} unit types for testing`);
-  } catch (error) {
-    console.error('Failed to load test data:', error.message);
-    throw error;
-  }
+// Loaded (and validated) at collection time: bad data fails before any browser starts
+const testData = loadTestData('./test-data/unit-types.csv', {
+  schema: unitTypeSchema,
+  unique: UNIQUE_FIELDS,
 });
 
 test.describe('Unit Type CRUD Tests', () => {
-  // Only run tests if testData is valid
   if (testData.length > 0) {
     for (const [index, unitType] of testData.entries()) {
-      test(`[${index + 1}] Create Unit Type: ${unitType['Name (English)']}`, async ({
-        page,
-      }) => {
-        const listPage = new UnitTypeListPage(page);
-        const formPage = new UnitTypeFormPage(page);
-
-        await listPage.navigate();
-        await listPage.clickCreate();
-        await formPage.fillForm(unitType);
-        await formPage.save();
+      test(`[${index + 1}] Create Unit Type: ${getOriginal(unitType)['Name (English)']}`, async ({
+        unitTypeList,
+        unitTypeForm,
+      }, testInfo) => {
+        await unitTypeList.clickCreate();
+        await unitTypeForm.fillForm(unitType);
+        await unitTypeForm.save();
 
         // Optional: verify
-        await listPage.navigate();
-        await listPage.search(unitType['Name (English)']);
+        await unitTypeList.navigate();
+        await unitTypeList.search(unitType['Name (English)']);
         expect(
-          await listPage.isUnitTypeVisible(unitType['Name (English)']),
+          await unitTypeList.isUnitTypeVisible(unitType['Name (English)']),
         ).toBeTruthy();
+
+        // Round trip: grid, export and reopened form show the CSV row
+        // (Bengali compared after normalization - utils/bengali-text.js)
+        await unitTypeList.expectShownInGrid(unitType);
+        await unitTypeList.expectExportedAs(unitType, {
+          dir: testInfo.outputPath(),
+        });
+        await unitTypeForm.expectSavedAs(unitType);
       });
     }
   } else {
@@ -0,0 +1,90 @@
+// tests/utils/save-outcome.spec.js
+/**
+ * Save Outcome Classification Tests
+ *
+ * ✅ Purpose: Every combination of response status, form state and
+ *    message that the page objects feed into classifySaveOutcome gets the
+ *    outcome the specs rely on
+ * ✅ When to use: Changes to utils/save-outcome.js
+ * ✅ Independent: No browser page, no server
+ *
+ * 📍 Helper: utils/save-outcome.js
+ */
+const { test, expect } = require('@playwright/test');
+const {
+  SAVE_OUTCOMES,
+  classifySaveOutcome,
+} = require('../../utils/save-outcome');
+
+const CASES = [
+  {
+    title: '2xx that left the form, toast mentioning "unique"',
+    evidence: { status: 200, leftForm: true, message: 'Unique name saved' },
+    outcome: SAVE_OUTCOMES.SUCCESS,
+  },
+  {
+    title: '2xx that stayed on the form with "already exists" toast',
+    evidence: {
+      status: 200,
+      leftForm: false,
+      message: 'Unit type "Army" already exists',
+    },
+    outcome: SAVE_OUTCOMES.CONFLICT,
+  },
+  {
+    title: '2xx that stayed on the form with "already exists" field error',
+    evidence: {
+      status: 200,
+      leftForm: false,
+      fieldErrors: ['Name (English) already exists'],
+    },
+    outcome: SAVE_OUTCOMES.CONFLICT,
+  },
+  {
+    title: '409 without a message',
+    evidence: { status: 409, leftForm: false },
+    outcome: SAVE_OUTCOMES.CONFLICT,
+  },
+  {
+    title: '400 with "duplicate" toast',
+    evidence: { status: 400, leftForm: false, message: 'Duplicate entry' },
+    outcome: SAVE_OUTCOMES.CONFLICT,
+  },
+  {
+    title: '422 with field errors',
+    evidence: {
+      status: 422,
+      leftForm: false,
+      fieldErrors: ['Name (English) is required'],
+    },
+    outcome: SAVE_OUTCOMES.VALIDATION,
+  },
+  {
+    title: 'no request, field errors shown',
+    evidence: { fieldErrors: ['Name (English) is required'] },
+    outcome: SAVE_OUTCOMES.VALIDATION,
+  },
+  {
+    title: 'no request, left the form',
+    evidence: { leftForm: true },
+    outcome: SAVE_OUTCOMES.SUCCESS,
+  },
+  {
+    title: '500',
+    evidence: { status: 500, leftForm: false, message: 'Server error' },
+    outcome: SAVE_OUTCOMES.ERROR,
+  },
+  {
+    title: '2xx that stayed on the form without a reason',
+    evidence: { status: 200, leftForm: false },
+    outcome: SAVE_OUTCOMES.ERROR,
+  },
+];
+
+test.describe('Save outcome classification', () => {
+  for (const { title, evidence, outcome } of CASES) {
+    test(`should classify ${title} as ${outcome}`, () => {
+      expect(classifySaveOutcome(evidence).outcome).toBe(outcome);
+    });
+  }
+});
@@ -79,25 +79,41 @@ async function assertTableNotContains(page, tableSelector, searchValue) {
   expect(content).not.toContain(searchValue);
 }
 
+/**
+ * Error element of a form field
+ * Field by name or formcontrolname; the error is looked up in the
+ * surrounding mat-form-field (inputs sit a few levels deep in it),
+ * or the parent element for plain inputs
+ * @private
+ */
+function fieldErrorLocator(page, fieldName) {
+  return page
+    .locator(`[name="${fieldName}"], [formcontrolname="${fieldName}"]`)
+    .first()
+    .locator('xpath=(ancestor::mat-form-field[1] | ..)[1]')
+    .locator('mat-error, .mat-error, [role="alert"]');
+}
+
 /**
  * Assert form field has validation error
+ * Waits for the error to show (errors appear after blur/submit)
  * @param {Page} page
- * @param {string} fieldName - Name attribute of field
- * @param {string} errorMessage - Expected error message
+ * @param {string} fieldName - Name or formcontrolname attribute of field
+ * @param {string|RegExp} errorMessage - Expected error message (contained)
  *
  * USAGE:
  *   await assertFormFieldError(page, 'email', 'Invalid email');
  *   await assertFormFieldError(page, 'username', 'Required');
+ *   await assertFormFieldError(page, 'nameBn', /bengali/i);
  */
 async function assertFormFieldError(page, fieldName, errorMessage) {
-  // Find field error message
-  const errorLocator = page
-    .locator(`[name="${fieldName}"]`)
-    .locator('..')
-    .locator('.mat-error, [role="alert"]');
-
-  const errorText = await errorLocator.textContent();
-  expect(errorText).toContain(errorMessage);
+  const errorLocator = fieldErrorLocator(page, fieldName).first();
+
+  await expect(
+    errorLocator,
+    `Field "${fieldName}" should show an error`,
+  ).toBeVisible();
+  await expect(errorLocator).toContainText(errorMessage);
 }
 
 /**
@@ -109,12 +125,7 @@ async function assertFormFieldError(page, fieldName, errorMessage) {
  *   await assertFormFieldValid(page, 'email');
  */
 async function assertFormFieldValid(page, fieldName) {
-  const errorLocator = page
-    .locator(`[name="${fieldName}"]`)
-    .locator('..')
-    .locator('.mat-error, [role="alert"]');
-
-  const errorCount = await errorLocator.count();
+  const errorCount = await fieldErrorLocator(page, fieldName).count();
   expect(errorCount).toBe(0);
 }
 
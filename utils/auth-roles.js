@@ -0,0 +1,124 @@
+// utils/auth-roles.js
+/**
+ * Auth Roles
+ *
+ * 📚 PURPOSE:
+ * Single place that knows which user roles the suite can log in as,
+ * where their credentials come from and where their saved session lives.
+ *
+ * 🎯 WHEN TO USE:
+ * - global-setup: build one storage state per configured role
+ * - fixtures: pick a role for a spec (test.use({ role: 'admin' }))
+ * - Anywhere a test needs the credentials of a specific role
+ *
+ * 💡 EXAMPLE:
+ * const { getCredentials, getAuthFile } = require('../utils/auth-roles');
+ * const { username, password } = getCredentials('admin');
+ * const stateFile = getAuthFile('admin'); // playwright/.auth/admin.json
+ *
+ * NEW MEMBERS:
+ * - Adding a role = one entry in ROLES + <PREFIX>_USERNAME/_PASSWORD in .env
+ * - Roles without credentials in .env are skipped by global-setup
+ */
+
+const path = require('path');
+
+const AUTH_DIR = 'playwright/.auth';
+const DEFAULT_ROLE = 'superadmin';
+
+/**
+ * Known roles
+ * envPrefix → reads <PREFIX>_USERNAME / <PREFIX>_PASSWORD
+ * defaults  → fallback credentials (only for the main superadmin account)
+ */
+const ROLES = {
+  superadmin: {
+    envPrefix: 'SUPERADMIN',
+    defaults: { username: 'main.superadmin', password: 'Ordiss@SA' },
+  },
+  admin: {
+    envPrefix: 'ADMIN',
+  },
+};
+
+/**
+ * Get role definition
+ * @param {string} role - Role key (e.g. 'superadmin', 'admin')
+ * @returns {object} Role definition
+ * @throws Error if role is unknown
+ */
+function getRole(role) {
+  const definition = ROLES[role];
+  if (!definition) {
+    throw new Error(
+      `❌ Unknown role "${role}". Known roles: ${Object.keys(ROLES).join(', ')}`,
+    );
+  }
+  return definition;
+}
+
+/**
+ * Check if role has credentials (from .env or defaults)
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isRoleConfigured(role) {
+  const { envPrefix, defaults } = getRole(role);
+  const hasEnv =
+    Boolean(process.env[`${envPrefix}_USERNAME`]) &&
+    Boolean(process.env[`${envPrefix}_PASSWORD`]);
+  return hasEnv || Boolean(defaults);
+}
+
+/**
+ * Get credentials for role
+ * @param {string} role
+ * @returns {{ username: string, password: string }}
+ * @throws Error if role has no credentials configured
+ *
+ * USAGE:
+ *   const { username, password } = getCredentials('superadmin');
+ */
+function getCredentials(role) {
+  const { envPrefix, defaults = {} } = getRole(role);
+  const username = process.env[`${envPrefix}_USERNAME`] || defaults.username;
+  const password = process.env[`${envPrefix}_PASSWORD`] || defaults.password;
+
+  if (!username || !password) {
+    throw new Error(
+      `❌ No credentials for role "${role}". ` +
+        `Set ${envPrefix}_USERNAME and ${envPrefix}_PASSWORD in .env`,
+    );
+  }
+
+  return { username, password };
+}
+
+/**
+ * Get storage state file path for role
+ * @param {string} role
+ * @returns {string} e.g. playwright/.auth/admin.json
+ */
+function getAuthFile(role) {
+  getRole(role);
+  return path.join(AUTH_DIR, `${role}.json`);
+}
+
+/**
+ * List roles that have credentials configured
+ * @returns {string[]}
+ */
+function getConfiguredRoles() {
+  return Object.keys(ROLES).filter(isRoleConfigured);
+}
+
+module.exports = {
+  AUTH_DIR,
+  DEFAULT_ROLE,
+  ROLES,
+  getRole,
+  isRoleConfigured,
+  getCredentials,
+  getAuthFile,
+  getConfiguredRoles,
+};
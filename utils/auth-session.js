@@ -0,0 +1,80 @@
+// utils/auth-session.js
+/**
+ * Auth Session
+ *
+ * 📚 PURPOSE:
+ * Recovers from sessions that expire in the middle of a long run.
+ * The fixtures register which role each page is logged in as; BasePage
+ * calls reauthenticate() when a navigation is bounced to /login.
+ *
+ * 🎯 WHEN TO USE:
+ * - Indirectly, through BasePage.gotoAuthenticated()
+ * - Directly only when a test drives navigation itself
+ *
+ * 💡 EXAMPLE:
+ * registerSession(page, { role: 'admin', testInfo }); // done by fixtures
+ * await reauthenticate(page, '/administration/unit-types');
+ *
+ * NEW MEMBERS:
+ * - The new session lives in the page's browser context only:
+ *   playwright/.auth/<role>.json belongs to global setup, and other
+ *   workers may be reading it
+ * - Every re-authentication adds a "reauthenticated" annotation to the
+ *   test, visible in the HTML report
+ */
+
+const { getCredentials } = require('./auth-roles');
+
+const sessions = new WeakMap();
+
+/**
+ * Remember which role a page is logged in as
+ * @param {Page} page - Playwright page
+ * @param {object} session - { role, testInfo }
+ */
+function registerSession(page, { role, testInfo }) {
+  sessions.set(page, { role, testInfo });
+}
+
+/**
+ * Get registered session for page
+ * @param {Page} page
+ * @returns {object|undefined} { role, testInfo }
+ */
+function getSession(page) {
+  return sessions.get(page);
+}
+
+/**
+ * Log in again on page (its browser context keeps the new session)
+ * @param {Page} page - Page that was bounced to /login
+ * @param {string} interruptedUrl - Navigation that was interrupted
+ * @throws Error if page has no registered session
+ */
+async function reauthenticate(page, interruptedUrl) {
+  const session = getSession(page);
+
+  if (!session) {
+    throw new Error(
+      `❌ Session expired: redirected to /login while opening "${interruptedUrl}" ` +
+        '(page has no registered role - use the shared fixtures to enable re-authentication)',
+    );
+  }
+
+  // Required lazily: LoginPage extends BasePage, which requires this module
+  const LoginPage = require('../pages/auth/login.page');
+  const { username, password } = getCredentials(session.role);
+
+  await new LoginPage(page).login(username, password);
+
+  session.testInfo?.annotations.push({
+    type: 'reauthenticated',
+    description: `Session for "${session.role}" expired while opening "${interruptedUrl}" - logged in again`,
+  });
+}
+
+module.exports = {
+  registerSession,
+  getSession,
+  reauthenticate,
+};
@@ -0,0 +1,158 @@
+// utils/bengali-text.js
+/**
+ * Bengali Text Fidelity
+ *
+ * 📚 PURPOSE:
+ * Compares Bengali values the way a reader sees them and names what went
+ * wrong when they differ. "আর্মড" that comes back as "আরমড" (hasanta
+ * dropped), "à¦†à¦°à§" (UTF-8 read as Latin-1) or with a zero-width
+ * joiner stripped looks almost right in a failure message - these
+ * helpers say which it is.
+ *
+ * 🎯 WHAT IS CHECKED:
+ * - Unicode normalization → values equal after NFC are equal
+ *   ("ো" typed as one or two code points)
+ * - Lost conjuncts       → hasanta (্) removed: ক্ষ → কষ
+ * - Zero-width chars     → ZWJ/ZWNJ removed or added, stray ZWSP/BOM
+ * - Mojibake             → à¦/à§ sequences, � replacement chars,
+ *                          Bengali letters turned into "?"
+ *
+ * 💡 EXAMPLE:
+ * const { equal, issues } = compareBengali('আর্মড', 'আরমড');
+ * // equal: false, issues: ['lost conjunct(s) র্ম (hasanta ্ removed)']
+ *
+ * NEW MEMBERS:
+ * - Only problems the actual value has and the expected value doesn't are
+ *   reported: legacy-font leftovers already in the test data ("বাsলাদেশ")
+ *   are the data's problem, not the app's
+ * - utils/record-diff.js uses this for every Bengali column, so round-trip
+ *   checks (grid, edit form, export) report these issues by themselves
+ */
+
+const BENGALI_LETTER = /[ঀ-৿]/;
+const HASANTA = '্';
+// Consonant + hasanta + consonant (optionally via ZWJ/ZWNJ)
+const CONJUNCT = /[ক-হড়-য়]্[\u200C\u200D]?[ক-হড়-য়]/g;
+// UTF-8 Bengali (E0 A6/A7 ..) decoded as Latin-1/Windows-1252, U+FFFD
+const MOJIBAKE = /(à¦|à§|Ã|â€|�)/;
+
+const INVISIBLE = {
+  '\u200D': 'ZWJ',
+  '\u200C': 'ZWNJ',
+  '\u200B': 'ZWSP',
+  '\uFEFF': 'BOM',
+};
+
+/**
+ * Whether text has Bengali letters
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasBengali(text) {
+  return BENGALI_LETTER.test(String(text ?? ''));
+}
+
+/**
+ * Bring Bengali text to comparable form: NFC, trimmed
+ * Zero-width joiners are kept - they change how a word renders
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeBengali(text) {
+  return String(text ?? '')
+    .normalize('NFC')
+    .trim();
+}
+
+/**
+ * Show invisible characters, for error messages
+ * @param {string} text
+ * @returns {string} e.g. "র<ZWJ>্যাব"
+ */
+function showInvisible(text) {
+  return String(text ?? '').replace(
+    /[\u200B-\u200D\uFEFF]/g,
+    (char) => `<${INVISIBLE[char]}>`,
+  );
+}
+
+/**
+ * Count occurrences of each match
+ * @private
+ */
+function countMatches(text, pattern) {
+  const counts = new Map();
+  for (const match of text.match(pattern) || []) {
+    counts.set(match, (counts.get(match) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Count a single character
+ * @private
+ */
+function countChar(text, char) {
+  return text.split(char).length - 1;
+}
+
+/**
+ * Problems actual has that expected doesn't
+ * @param {string} expected - Value as in the test data
+ * @param {string} actual - Value the app shows/exports
+ * @returns {string[]} Readable issues (empty if none recognised)
+ */
+function findBengaliIssues(expected, actual) {
+  const want = normalizeBengali(expected);
+  const got = normalizeBengali(actual);
+  const issues = [];
+
+  if (MOJIBAKE.test(got) && !MOJIBAKE.test(want)) {
+    issues.push('mojibake (UTF-8 Bengali decoded as Latin-1, or �)');
+  }
+  if (countChar(got, '?') > countChar(want, '?') && !hasBengali(got)) {
+    issues.push('Bengali letters replaced by "?" (non-Unicode encoding)');
+  }
+
+  // Encoding broke everything: conjunct/joiner details would only be noise
+  if (issues.length > 0) return issues;
+
+  const wantConjuncts = countMatches(want, CONJUNCT);
+  const gotConjuncts = countMatches(got, CONJUNCT);
+  const lost = [...wantConjuncts]
+    .filter(([conjunct, count]) => (gotConjuncts.get(conjunct) || 0) < count)
+    .map(([conjunct]) => showInvisible(conjunct));
+  if (lost.length > 0 && countChar(got, HASANTA) < countChar(want, HASANTA)) {
+    issues.push(`lost conjunct(s) ${lost.join(', ')} (hasanta ্ removed)`);
+  }
+
+  for (const [char, name] of Object.entries(INVISIBLE)) {
+    const difference = countChar(got, char) - countChar(want, char);
+    if (difference < 0) issues.push(`${name} removed (${-difference})`);
+    if (difference > 0) issues.push(`${name} added (${difference})`);
+  }
+
+  return issues;
+}
+
+/**
+ * Compare Bengali values after normalization
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {{ equal: boolean, issues: string[] }}
+ *
+ * USAGE:
+ *   const { equal, issues } = compareBengali(row['Name (Bangla)'], shown);
+ */
+function compareBengali(expected, actual) {
+  const equal = normalizeBengali(expected) === normalizeBengali(actual);
+  return { equal, issues: equal ? [] : findBengaliIssues(expected, actual) };
+}
+
+module.exports = {
+  hasBengali,
+  normalizeBengali,
+  showInvisible,
+  findBengaliIssues,
+  compareBengali,
+};
@@ -0,0 +1,139 @@
+// utils/cleanup-registry.js
+/**
+ * Cleanup Registry
+ *
+ * 📚 PURPOSE:
+ * Remembers every entity a test creates and deletes them again at
+ * teardown, newest first, so runs don't pollute the environment.
+ *
+ * 🎯 WHEN TO USE:
+ * - Page objects: register right after a successful create
+ * - Specs: only to register something created outside a page object
+ *
+ * 💡 EXAMPLE:
+ * // In a page object, after the record was saved:
+ * getCleanupRegistry(this.page)?.register(
+ *   `Unit type "${name}"`,
+ *   async (page) => {
+ *     const listPage = new UnitTypeListPage(page);
+ *     await listPage.navigate();
+ *     await listPage.deleteUnitType(name);
+ *   },
+ * );
+ *
+ * NEW MEMBERS:
+ * - The fixtures attach a registry to every page (tests/fixtures)
+ * - Test scope (default): deletes at the end of each test
+ * - Worker scope: test.use({ cleanupScope: 'worker' }) deletes once the
+ *   worker finishes - for specs whose records must survive between tests
+ * - Deleters receive the page to use: at worker teardown the test's page
+ *   is already closed
+ * - Failed deletions fail the test/worker with the list of leftovers
+ * - Page objects that delete on the test's behalf call forget(label)
+ */
+
+const registries = new WeakMap();
+
+class CleanupRegistry {
+  constructor(scope = 'test') {
+    this.scope = scope;
+    this.entries = [];
+  }
+
+  /**
+   * Register a created entity
+   * @param {string} label - What was created (shown when deletion fails)
+   * @param {function} remove - async (page) => deletes the entity
+   * @returns {object} The entry - relabel it if the entity is renamed
+   */
+  register(label, remove) {
+    const entry = { label, remove };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Forget an entity the test deleted itself
+   * @param {string} label - Label it was registered with
+   * @returns {boolean} Whether an entry was removed
+   */
+  forget(label) {
+    const index = this.entries.findIndex((entry) => entry.label === label);
+    if (index === -1) {
+      return false;
+    }
+    this.entries.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Number of entities waiting for deletion
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Delete every registered entity, newest first
+   * Keeps going after a failure so one broken delete doesn't leak the rest
+   * @param {Page} page - Page the deleters should use
+   * @returns {Promise<Array>} Failures: [{ label, error }]
+   */
+  async runAll(page) {
+    const failures = [];
+
+    while (this.entries.length > 0) {
+      const { label, remove } = this.entries.pop();
+      try {
+        await remove(page);
+      } catch (error) {
+        failures.push({ label, error });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Delete everything and throw if anything could not be deleted
+   * @param {Page} page
+   * @throws Error listing every entity left behind
+   */
+  async runAllOrThrow(page) {
+    const failures = await this.runAll(page);
+    if (failures.length === 0) {
+      return;
+    }
+
+    throw new Error(
+      `❌ Cleanup (${this.scope}) failed for ${failures.length} entit${failures.length === 1 ? 'y' : 'ies'}:\n` +
+        failures
+          .map(({ label, error }) => `   - ${label}: ${error.message}`)
+          .join('\n'),
+    );
+  }
+}
+
+/**
+ * Attach registry to page so page objects can find it
+ * @param {Page} page
+ * @param {CleanupRegistry} registry
+ */
+function attachCleanupRegistry(page, registry) {
+  registries.set(page, registry);
+}
+
+/**
+ * Get registry attached to page
+ * @param {Page} page
+ * @returns {CleanupRegistry|undefined} undefined outside the fixtures
+ */
+function getCleanupRegistry(page) {
+  return registries.get(page);
+}
+
+module.exports = {
+  CleanupRegistry,
+  attachCleanupRegistry,
+  getCleanupRegistry,
+};
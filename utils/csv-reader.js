@@ -1,13 +1,354 @@
+// utils/csv-reader.js
+/**
+ * CSV Reader
+ *
+ * 📚 PURPOSE:
+ * Loads test data rows from CSV files, optionally validated and typed
+ * against a column schema.
+ *
+ * 🎯 SCHEMA (one entry per column):
+ * - required: true            → value must not be empty
+ * - enum: ['Static', 'Field'] → value must be one of these
+ * - type: 'boolean'           → Yes/No, True/False, 1/0 → true/false
+ * - type: 'list'              → "A, B" → ['A', 'B'] (separator: ',')
+ * - trim: false               → keep surrounding spaces (default: trimmed)
+ *
+ * 💡 EXAMPLE:
+ * const schema = require('../test-data/schemas/unit-types.schema');
+ * // Sync: load at collection time, before any browser starts
+ * const rows = readCSVSync('./test-data/unit-types.csv', { schema });
+ * rows[0]['Is Depot']; // false
+ *
+ * NEW MEMBERS:
+ * - Bad data throws ONE error listing every problem as file:row:column,
+ *   a quote that is never closed included
+ * - With a schema, blank-header columns (notes, trailing commas) are
+ *   dropped and unknown columns are errors
+ * - unique option: see utils/unique-data.js
+ */
 const csv = require('csv-parser');
 const fs = require('fs');
+const { makeRowUnique } = require('./unique-data');
 
-async function readCSV(filePath) {
+// Boolean cell text, case-insensitive. Also used by utils/form-helper.js
+const TRUE_VALUES = ['yes', 'true', '1', 'y'];
+const FALSE_VALUES = ['no', 'false', '0', 'n', ''];
+
+/**
+ * Boolean from true/false or Yes/No text
+ * @param {boolean|string} value
+ * @returns {boolean|null} null when the value is not a boolean
+ */
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+
+  const normalized = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+}
+
+/**
+ * Bring values from typed formats (JSON, YAML) to CSV text
+ * @private
+ */
+function toCellString(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+/**
+ * Convert one cell according to its column spec
+ * @private
+ * @returns {{ value: any, error: string|null }}
+ */
+function convertCell(rawValue, spec) {
+  const text = toCellString(rawValue);
+  const value = spec.trim === false ? text : text.trim();
+
+  if (spec.required && value.trim() === '') {
+    return { value, error: 'required value is empty' };
+  }
+
+  if (spec.type === 'boolean') {
+    const parsed = parseBoolean(value);
+    if (parsed !== null) return { value: parsed, error: null };
+    return { value, error: `"${value}" is not a boolean (Yes/No)` };
+  }
+
+  if (spec.type === 'list') {
+    const items = value
+      .split(spec.separator || ',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+    const invalid = spec.enum
+      ? items.filter((item) => !spec.enum.includes(item))
+      : [];
+    if (invalid.length > 0) {
+      return {
+        value: items,
+        error: `"${invalid.join('", "')}" not in: ${spec.enum.join(', ')}`,
+      };
+    }
+    return { value: items, error: null };
+  }
+
+  if (spec.enum && value !== '' && !spec.enum.includes(value)) {
+    return {
+      value,
+      error: `"${value}" is not one of: ${spec.enum.join(', ')}`,
+    };
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * Check headers against schema
+ * @private
+ * @returns {string[]} Error messages (file:row:column format)
+ */
+function validateHeaders(headers, schema, filePath) {
+  const errors = [];
+  const named = headers.filter((header) => header.trim() !== '');
+
+  for (const column of Object.keys(schema)) {
+    if (!named.includes(column)) {
+      errors.push(`${filePath}:1:${column} - missing column`);
+    }
+  }
+
+  for (const header of named) {
+    if (!(header in schema)) {
+      errors.push(`${filePath}:1:${header} - unknown column (not in schema)`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Trim, validate and type raw rows
+ * Shared with utils/data-loader.js so every format gives the same rows
+ * @param {object[]} rawRows - Rows keyed by header
+ * @param {string[]} headers - Header names in file order
+ * @param {string} filePath - For error messages
+ * @param {object} options - { schema, unique, trim, firstRow, parseErrors }
+ *   firstRow    → row number of the first data row in messages (default: 2)
+ *   parseErrors → file:row:column errors the reader found while parsing
+ * @throws Error listing every invalid cell as file:row:column
+ */
+function normalizeRows(rawRows, headers, filePath, options) {
+  const { schema, unique, firstRow = 2, parseErrors = [] } = options;
+  const errors = [...parseErrors];
+  let rows;
+
+  // Cells beyond the header come back as _<index> keys
+  rawRows.forEach((rawRow, index) => {
+    const extra = Object.keys(rawRow).filter((key) => /^_\d+$/.test(key));
+    if (extra.length > 0) {
+      errors.push(
+        `${filePath}:${index + firstRow} - ${extra.length} cell(s) beyond the header`,
+      );
+    }
+  });
+
+  if (schema) {
+    errors.push(...validateHeaders(headers, schema, filePath));
+
+    rows = rawRows.map((rawRow, index) => {
+      const line = index + firstRow; // CSV/XLSX: line 1 = header
+      const row = {};
+
+      for (const [column, spec] of Object.entries(schema)) {
+        const { value, error } = convertCell(rawRow[column] ?? '', spec);
+        if (error) {
+          errors.push(`${filePath}:${line}:${column} - ${error}`);
+        }
+        row[column] = value;
+      }
+
+      return row;
+    });
+  } else {
+    rows = rawRows.map((rawRow) =>
+      Object.fromEntries(
+        Object.entries(rawRow).map(([key, value]) => [
+          key,
+          options.trim === false ? value : toCellString(value).trim(),
+        ]),
+      ),
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `❌ Invalid test data in ${filePath} (${errors.length} error${errors.length === 1 ? '' : 's'}):\n` +
+        errors.map((error) => `   ${error}`).join('\n'),
+    );
+  }
+
+  return unique ? rows.map((row) => makeRowUnique(row, unique)) : rows;
+}
+
+/**
+ * Find a quote that is never closed
+ * csv-parser opens a quoted value at any '"' and, if it is never closed,
+ * silently swallows the rest of the file into that cell
+ * @private
+ * @param {string} text - File content
+ * @returns {{ row: number, cell: number }|null} Where the quote opened
+ *   (row 1 = header, cell 0-based), null when all quotes are closed
+ */
+function findUnclosedQuote(text) {
+  let row = 1;
+  let cell = 0;
+  let opened = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (opened) {
+      if (char === '"' && text[i + 1] === '"') {
+        i++; // "" inside quotes: escaped quote
+      } else if (char === '"') {
+        opened = null;
+      }
+    } else if (char === '"') {
+      opened = { row, cell };
+    } else if (char === ',') {
+      cell++;
+    } else if (char === '\n') {
+      row++;
+      cell = 0;
+    }
+  }
+
+  return opened;
+}
+
+/**
+ * Unclosed quote as a file:row:column error ([] if none)
+ * @private
+ */
+function quoteErrors(text, headers, filePath) {
+  const opened = findUnclosedQuote(text);
+  if (!opened) return [];
+
+  const column = headers[opened.cell] || `column ${opened.cell + 1}`;
+  return [
+    `${filePath}:${opened.row}:${column} - quote is never closed (rest of the file read into this cell)`,
+  ];
+}
+
+/**
+ * Parser options shared by sync/async readers
+ * @private
+ */
+function createParser(headers) {
+  return csv({
+    mapHeaders: ({ header }) => {
+      const name = header.trim();
+      headers.push(name);
+      // Blank headers (note columns, trailing commas) are dropped
+      return name === '' ? null : name;
+    },
+  });
+}
+
+/**
+ * Wrap parser errors with file name
+ * @private
+ */
+function parseError(filePath, error) {
+  return new Error(`❌ Failed to parse ${filePath}: ${error.message}`);
+}
+
+/**
+ * Read CSV file into row objects
+ * @param {string} filePath
+ * @param {object} options - { schema, unique, trim }
+ *   schema → validate and type columns (see top of file)
+ *   unique → add a run/worker suffix to these columns (utils/unique-data.js)
+ *   trim   → trim values when no schema is given (default: true)
+ * @returns {Promise<object[]>} Rejects on unreadable file or invalid data
+ */
+async function readCSV(filePath, options = {}) {
   const results = [];
-  return new Promise((resolve) => {
+  const headers = [];
+  const chunks = [];
+
+  return new Promise((resolve, reject) => {
     fs.createReadStream(filePath)
-      .pipe(csv())
+      .on('error', (error) => reject(parseError(filePath, error)))
+      .on('data', (chunk) => chunks.push(chunk))
+      .pipe(createParser(headers))
+      .on('error', (error) => reject(parseError(filePath, error)))
       .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results));
+      .on('end', () => {
+        try {
+          const text = Buffer.concat(chunks).toString('utf8');
+          resolve(
+            normalizeRows(results, headers, filePath, {
+              ...options,
+              parseErrors: quoteErrors(text, headers, filePath),
+            }),
+          );
+        } catch (error) {
+          reject(error);
+        }
+      });
+  });
+}
+
+/**
+ * Read CSV file synchronously
+ * Use at the top of a spec so bad data fails before any browser starts
+ * @param {string} filePath
+ * @param {object} options - Same as readCSV
+ * @returns {object[]}
+ * @throws Error on unreadable file or invalid data
+ */
+function readCSVSync(filePath, options = {}) {
+  const results = [];
+  const headers = [];
+  const errors = [];
+
+  let content;
+  try {
+    content = fs.readFileSync(filePath);
+  } catch (error) {
+    throw parseError(filePath, error);
+  }
+
+  // csv-parser is a stream, but parses synchronously when fed one buffer
+  const parser = createParser(headers);
+  parser.on('error', (error) => errors.push(error));
+  parser.end(content);
+
+  let row;
+  while ((row = parser.read()) !== null) {
+    results.push(row);
+  }
+
+  if (errors.length > 0) {
+    throw parseError(filePath, errors[0]);
+  }
+
+  return normalizeRows(results, headers, filePath, {
+    ...options,
+    parseErrors: quoteErrors(content.toString('utf8'), headers, filePath),
   });
 }
-module.exports = { readCSV };
+
+module.exports = {
+  readCSV,
+  readCSVSync,
+  normalizeRows,
+  parseBoolean,
+  TRUE_VALUES,
+  FALSE_VALUES,
+};
@@ -0,0 +1,174 @@
+// utils/data-loader.js
+/**
+ * Test Data Loader
+ *
+ * 📚 PURPOSE:
+ * Loads test data rows from CSV, JSON, YAML or Excel, picked by file
+ * extension. Every format goes through the same schema/unique handling
+ * as readCSV, so specs get identical row objects whatever the source.
+ *
+ * 🎯 FORMATS:
+ * - .csv          → utils/csv-reader.js
+ * - .json         → array of rows, or { "<sheet>": [rows] }
+ * - .yaml / .yml  → same shapes as JSON
+ * - .xlsx / .xls  → first row = headers; pick a sheet with { sheet }
+ *
+ * 💡 EXAMPLE:
+ * const rows = loadTestData('./test-data/unit-types.xlsx', {
+ *   sheet: 'Unit Types',            // name or 0-based index (default: first)
+ *   schema: unitTypeSchema,
+ *   unique: ['Name (English)'],
+ * });
+ *
+ * NEW MEMBERS:
+ * - Synchronous on purpose: call it at the top of a spec so bad data
+ *   fails before any browser starts
+ * - Business team Excel sheets can be dropped in test-data/ as-is,
+ *   no hand conversion to CSV
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const YAML = require('yaml');
+const { readCSVSync, normalizeRows } = require('./csv-reader');
+
+/**
+ * Header names in first-seen order across all rows
+ * @private
+ */
+function collectHeaders(rows) {
+  const headers = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!headers.includes(key)) headers.push(key);
+    }
+  }
+  return headers;
+}
+
+/**
+ * Pick the rows array out of parsed JSON/YAML
+ * @private
+ */
+function selectRows(data, filePath, sheet) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+
+  if (data && typeof data === 'object') {
+    const sheets = Object.keys(data).filter((key) => Array.isArray(data[key]));
+    const name =
+      typeof sheet === 'number' ? sheets[sheet] : (sheet ?? sheets[0]);
+
+    if (name !== undefined && Array.isArray(data[name])) {
+      return data[name];
+    }
+
+    throw new Error(
+      `❌ Sheet "${sheet}" not found in ${filePath}. Sheets: ${sheets.join(', ')}`,
+    );
+  }
+
+  throw new Error(
+    `❌ ${filePath} must contain an array of rows or { "<sheet>": [rows] }`,
+  );
+}
+
+/**
+ * Parse JSON or YAML file into raw rows
+ * @private
+ */
+function readStructured(filePath, parse, options) {
+  let data;
+  try {
+    data = parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`❌ Failed to parse ${filePath}: ${error.message}`);
+  }
+
+  const rows = selectRows(data, filePath, options.sheet);
+  // Rows are list items, not file lines: report them 1-based
+  return normalizeRows(rows, collectHeaders(rows), filePath, {
+    firstRow: 1,
+    ...options,
+  });
+}
+
+/**
+ * Read Excel sheet into raw rows
+ * @private
+ */
+function readWorkbook(filePath, options) {
+  let workbook;
+  try {
+    workbook = XLSX.readFile(filePath);
+  } catch (error) {
+    throw new Error(`❌ Failed to parse ${filePath}: ${error.message}`);
+  }
+
+  const { sheet = 0 } = options;
+  const sheetName =
+    typeof sheet === 'number' ? workbook.SheetNames[sheet] : sheet;
+  const worksheet = workbook.Sheets[sheetName];
+
+  if (!worksheet) {
+    throw new Error(
+      `❌ Sheet "${sheet}" not found in ${filePath}. Sheets: ${workbook.SheetNames.join(', ')}`,
+    );
+  }
+
+  // header: 1 → arrays, so blank headers can be dropped like in CSV
+  const [headerRow = [], ...cells] = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '',
+    raw: false,
+    blankrows: false,
+  });
+  const headers = headerRow.map((header) => String(header).trim());
+
+  const rows = cells.map((rowCells) => {
+    const row = {};
+    headers.forEach((header, index) => {
+      if (header !== '') row[header] = rowCells[index] ?? '';
+    });
+    return row;
+  });
+
+  return normalizeRows(rows, headers, `${filePath}#${sheetName}`, options);
+}
+
+/**
+ * Load test data rows, format picked by extension
+ * @param {string} filePath
+ * @param {object} options - { schema, unique, trim, sheet }
+ * @returns {object[]} Normalized rows (same shape for every format)
+ * @throws Error on unknown format, unreadable file or invalid data
+ *
+ * USAGE:
+ *   const rows = loadTestData('./test-data/unit-types.csv', { schema });
+ *   const rows = loadTestData('./test-data/unit-types.yaml', { schema });
+ */
+function loadTestData(filePath, options = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  switch (extension) {
+    case '.csv':
+      return readCSVSync(filePath, options);
+    case '.json':
+      return readStructured(filePath, JSON.parse, options);
+    case '.yaml':
+    case '.yml':
+      return readStructured(filePath, YAML.parse, options);
+    case '.xlsx':
+    case '.xls':
+      return readWorkbook(filePath, options);
+    default:
+      throw new Error(
+        `❌ Unsupported test data format "${extension}" (${filePath}). ` +
+          'Use .csv, .json, .yaml/.yml or .xlsx/.xls',
+      );
+  }
+}
+
+module.exports = { loadTestData };
@@ -1,7 +1,159 @@
 // utils/form-helper.js
+/**
+ * Form Helpers
+ *
+ * 📚 PURPOSE:
+ * Fills and reads page-object forms through a declarative field map:
+ * data column → control on the page object → control type. Column names
+ * in test data never have to match form labels, and a column nobody
+ * mapped is an error instead of a silently skipped field.
+ *
+ * 🎯 FIELD TYPES:
+ * - text     → Locator (input/textarea): fill / inputValue
+ * - select   → MatSelect: select / read
+ * - radio    → MatRadioGroup: select / read
+ * - checkbox → MatCheckbox: set(boolean) / read
+ * - chips    → MatChipsAutocomplete: set(list) / read
+ * - date     → MatDatepicker: set / read
+ *
+ * 💡 EXAMPLE:
+ * // pages/administration/unit-type/unit-type-form.fields.js
+ * module.exports = {
+ *   'Name (Bangla)': { control: 'nameBn', type: 'text' },
+ *   'Is Depot': { control: 'depot', type: 'checkbox' },
+ * };
+ *
+ * // In the page object
+ * await fillFields(this, data, UNIT_TYPE_FIELDS, 'Unit type form');
+ * const current = await readFields(this, UNIT_TYPE_FIELDS);
+ *
+ * NEW MEMBERS:
+ * - Columns missing from the data (or undefined) are left as they are:
+ *   pass only the changed columns when editing
+ * - Fields are filled in field map order, not data column order
+ */
+
+const { parseBoolean } = require('./csv-reader');
+
+const FIELD_TYPES = ['text', 'select', 'radio', 'checkbox', 'chips', 'date'];
+
 exports.setChecked = async (checkbox, shouldBeChecked) => {
   const isChecked = await checkbox.isChecked();
   if (isChecked !== shouldBeChecked) {
     await checkbox.click();
   }
 };
+
+/**
+ * Check data columns and field map against the page object
+ * @param {object} form - Page object holding the controls
+ * @param {object} data - Data row or partial changes
+ * @param {object} fieldMap - { column: { control, type } }
+ * @param {string} formName - For error messages
+ * @throws Error listing unmapped columns and broken field map entries
+ */
+exports.validateFields = (form, data, fieldMap, formName) => {
+  const errors = [];
+
+  const unmapped = Object.keys(data).filter((column) => !(column in fieldMap));
+  if (unmapped.length > 0) {
+    errors.push(
+      `no field for column${unmapped.length === 1 ? '' : 's'} "${unmapped.join('", "')}". ` +
+        `Mapped columns: ${Object.keys(fieldMap).join(', ')}`,
+    );
+  }
+
+  for (const [column, { control, type }] of Object.entries(fieldMap)) {
+    if (!FIELD_TYPES.includes(type)) {
+      errors.push(`"${column}" has unknown type "${type}"`);
+    }
+    if (!form[control]) {
+      errors.push(`"${column}" maps to missing control "${control}"`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `❌ ${formName}: ${errors.length === 1 ? errors[0] : `\n   ${errors.join('\n   ')}`}`,
+    );
+  }
+};
+
+/**
+ * Boolean from true/false or Yes/No text, like the CSV reader reads it
+ * @private
+ */
+function toBoolean(value, column) {
+  const parsed = parseBoolean(value);
+  if (parsed !== null) return parsed;
+  throw new Error(`❌ "${column}": "${value}" is not a boolean (Yes/No)`);
+}
+
+/**
+ * List from array or "A, B" text
+ * @private
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Fill form from data through the field map
+ * @param {object} form - Page object holding the controls
+ * @param {object} data - Data row or partial changes
+ * @param {object} fieldMap - { column: { control, type } }
+ * @param {string} formName - For error messages
+ * @throws Error on unmapped columns (before touching the form)
+ */
+exports.fillFields = async (form, data, fieldMap, formName) => {
+  exports.validateFields(form, data, fieldMap, formName);
+
+  for (const [column, { control, type }] of Object.entries(fieldMap)) {
+    const value = data[column];
+    if (value === undefined) continue;
+
+    const target = form[control];
+    switch (type) {
+      case 'text':
+        await target.fill(String(value ?? ''));
+        break;
+      case 'select':
+      case 'radio': {
+        // Option lists can't be emptied: blank means "leave as is"
+        const label = String(value ?? '').trim();
+        if (label) await target.select(label);
+        break;
+      }
+      case 'checkbox':
+        await target.set(toBoolean(value, column));
+        break;
+      case 'chips':
+        await target.set(toList(value));
+        break;
+      case 'date':
+        if (String(value ?? '').trim()) await target.set(value);
+        else await target.clear();
+        break;
+    }
+  }
+};
+
+/**
+ * Read every mapped field, keyed by data column
+ * Checkboxes come back as booleans, chips as arrays
+ * @param {object} form - Page object holding the controls
+ * @param {object} fieldMap - { column: { control, type } }
+ * @returns {Promise<object>}
+ */
+exports.readFields = async (form, fieldMap) => {
+  const values = {};
+
+  for (const [column, { control, type }] of Object.entries(fieldMap)) {
+    const target = form[control];
+    values[column] =
+      type === 'text' ? await target.inputValue() : await target.read();
+  }
+
+  return values;
+};
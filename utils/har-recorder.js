@@ -0,0 +1,154 @@
+// utils/har-recorder.js
+/**
+ * HAR Recorder
+ *
+ * 📚 PURPOSE:
+ * Records the backend traffic of each test once against a real
+ * environment, then replays it so specs run deterministically without
+ * the server.
+ *
+ * 🎯 MODES (HAR_MODE env variable):
+ * - live   → talk to the server, nothing recorded (default)
+ * - record → talk to the server and save the traffic of every test
+ * - replay → serve every request from the recording, no server needed
+ *
+ * 📁 LAYOUT (one folder per spec, one file per test):
+ * test-data/har/administration/unit-type/unit-type/should-open-create-unit-type-form.har
+ * Pages opened as another role (asRole) get their own file per role:
+ * .../should-open-create-unit-type-form--admin.har
+ *
+ * 💡 EXAMPLE:
+ * HAR_MODE=record npx playwright test tests/administration/unit-type
+ * HAR_MODE=replay npx playwright test tests/administration/unit-type
+ *
+ * NEW MEMBERS:
+ * - Used through the shared fixtures, you never call this directly
+ * - HAR_URL_FILTER narrows what is recorded (default: everything on baseURL)
+ * - A request missing from the recording fails the test with the list of
+ *   missing requests - re-record after changing the test steps
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HAR_MODES = ['live', 'record', 'replay'];
+const HAR_DIR = process.env.HAR_DIR || 'test-data/har';
+
+/**
+ * Get current HAR mode
+ * @returns {string} 'live' | 'record' | 'replay'
+ * @throws Error if HAR_MODE has an unknown value
+ */
+function getHarMode() {
+  const mode = (process.env.HAR_MODE || 'live').toLowerCase();
+  if (!HAR_MODES.includes(mode)) {
+    throw new Error(
+      `❌ Unknown HAR_MODE "${mode}". Use one of: ${HAR_MODES.join(', ')}`,
+    );
+  }
+  return mode;
+}
+
+/**
+ * Turn a test title into a file name
+ * @private
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get recording path for test
+ * @param {TestInfo} testInfo
+ * @param {string} [variant] - Extra context of the test, e.g. its role
+ * @returns {string} e.g. test-data/har/administration/unit-type/unit-type/<test>.har
+ *   or .../<test>--<variant>.har
+ */
+function getHarPath(testInfo, variant) {
+  const specPath = path
+    .relative(testInfo.project.testDir, testInfo.file)
+    .replace(/\.spec\.js$/, '');
+  const testName = slugify(testInfo.titlePath.slice(1).join(' '));
+  const fileName = variant ? `${testName}--${slugify(variant)}` : testName;
+
+  return path.join(HAR_DIR, specPath, `${fileName}.har`);
+}
+
+/**
+ * Attach record/replay routing to a browser context
+ * @param {BrowserContext} context
+ * @param {TestInfo} testInfo
+ * @param {object} options - { baseURL, variant } → variant: own file for
+ *   an extra context of the test (e.g. the role of an asRole page)
+ * @returns {Promise<object>} { mode, harPath, unmatched, verify() }
+ *
+ * USAGE (fixtures):
+ *   const har = await attachHar(context, testInfo, { baseURL });
+ *   await use(har);
+ *   har.verify(); // throws if replay hit requests not in the recording
+ */
+async function attachHar(context, testInfo, { baseURL, variant }) {
+  const mode = getHarMode();
+  const harPath = getHarPath(testInfo, variant);
+  const url = process.env.HAR_URL_FILTER || `${baseURL}/**`;
+  const unmatched = [];
+
+  if (mode === 'record') {
+    fs.mkdirSync(path.dirname(harPath), { recursive: true });
+    // Written when the context closes
+    await context.routeFromHAR(harPath, {
+      url,
+      update: true,
+      updateContent: 'embed',
+    });
+  }
+
+  if (mode === 'replay') {
+    if (!fs.existsSync(harPath)) {
+      throw new Error(
+        `❌ No HAR recording for this test: ${harPath}\n` +
+          '   Record it first with HAR_MODE=record',
+      );
+    }
+
+    // Registered first = runs last: only sees requests the HAR did not serve
+    await context.route(url, async (route) => {
+      const request = route.request();
+      unmatched.push(`${request.method()} ${request.url()}`);
+      await route.abort('failed');
+    });
+    await context.routeFromHAR(harPath, { url, notFound: 'fallback' });
+  }
+
+  return {
+    mode,
+    harPath,
+    unmatched,
+
+    /**
+     * Fail if replay aborted requests that are not in the recording
+     */
+    verify() {
+      if (unmatched.length === 0) {
+        return;
+      }
+
+      throw new Error(
+        `❌ HAR replay: ${unmatched.length} request(s) not in recording ${harPath}\n` +
+          unmatched.map((request) => `   ${request}`).join('\n') +
+          '\n   Re-record with HAR_MODE=record',
+      );
+    },
+  };
+}
+
+module.exports = {
+  HAR_MODES,
+  HAR_DIR,
+  getHarMode,
+  getHarPath,
+  attachHar,
+};
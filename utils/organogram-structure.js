@@ -0,0 +1,196 @@
+// utils/organogram-structure.js
+/**
+ * Organogram Structure Files
+ *
+ * 📚 PURPOSE:
+ * Describes an organogram (sub)tree as parent/child rows, so a spec can
+ * build it through the UI and compare the canvas against it.
+ *
+ * 🎯 FILE FORMAT (test-data/organogram-structure.csv, or any format
+ * utils/data-loader.js reads):
+ * Node,Parent,Unit Type
+ * 10 Artillery Brigade,,Artillery Brigade        ← Parent empty: top node
+ * 10 Signal Battalion,10 Artillery Brigade,Signal Battalion
+ * - Node labels are unique within a file; rows may come in any order
+ * - Unit Type is optional
+ *
+ * 💡 EXAMPLE:
+ * const structure = loadOrganogramStructure(
+ *   './test-data/organogram-structure.csv',
+ *   { unique: true },
+ * );
+ * await nodeContextMenu.addStructure(structure, { under: '9 Infantry Division' });
+ * await organogram.expectMatchesStructure(structure, { under: '9 Infantry Division' });
+ *
+ * const diff = diffOrganogram(await organogram.readTree(), structure);
+ * // { missing: [{ label, parent }], extra: [{ label, parent }],
+ * //   misplaced: [{ label, expected, actual }] }
+ *
+ * NEW MEMBERS:
+ * - The comparison covers the branches under the file's top nodes:
+ *   other parts of the organogram are not "extra"
+ * - A node found elsewhere in the organogram is misplaced, not missing
+ * - unique: true suffixes Node and Parent alike (utils/unique-data.js),
+ *   so parent references still match
+ */
+const { loadTestData } = require('./data-loader');
+const { walkTree, flattenTree, findNode } = require('./organogram-tree');
+const structureSchema = require('../test-data/schemas/organogram-structure.schema');
+
+const COLUMNS = { node: 'Node', parent: 'Parent', unitType: 'Unit Type' };
+
+/**
+ * Rows → nodes, every parent before its children
+ * @param {object[]} rows - Data rows with Node / Parent / Unit Type
+ * @param {string} source - File name for error messages
+ * @returns {Array<{label, parent, unitType}>} parent null for top nodes
+ * @throws Error on repeated nodes, unknown parents or cycles
+ */
+function toStructure(rows, source = 'organogram structure') {
+  const nodes = rows.map((row) => ({
+    label: String(row[COLUMNS.node] ?? '').trim(),
+    parent: String(row[COLUMNS.parent] ?? '').trim() || null,
+    unitType: String(row[COLUMNS.unitType] ?? '').trim(),
+  }));
+
+  const labels = nodes.map((node) => node.label);
+  const errors = [];
+  labels.forEach((label, index) => {
+    if (labels.indexOf(label) !== index) {
+      errors.push(`"${label}" appears more than once`);
+    }
+  });
+  for (const node of nodes) {
+    if (node.parent && !labels.includes(node.parent)) {
+      errors.push(`"${node.label}" has unknown parent "${node.parent}"`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`❌ Invalid ${source}:\n   ${errors.join('\n   ')}`);
+  }
+
+  // Parents first: take nodes whose parent is already placed
+  const ordered = [];
+  const placed = new Set();
+  let pending = nodes;
+  while (pending.length > 0) {
+    const ready = pending.filter(
+      (node) => !node.parent || placed.has(node.parent),
+    );
+    if (ready.length === 0) {
+      throw new Error(
+        `❌ Invalid ${source}: parent cycle between ${pending.map((node) => `"${node.label}"`).join(', ')}`,
+      );
+    }
+    ready.forEach((node) => placed.add(node.label));
+    ordered.push(...ready);
+    pending = pending.filter((node) => !ready.includes(node));
+  }
+
+  return ordered;
+}
+
+/**
+ * Load a structure file
+ * @param {string} filePath - .csv/.json/.yaml/.xlsx with Node, Parent, Unit Type
+ * @param {object} options - { unique: true } → run/worker suffix on labels
+ * @returns {Array<{label, parent, unitType}>} Parents first
+ */
+function loadOrganogramStructure(filePath, { unique = false } = {}) {
+  const rows = loadTestData(filePath, {
+    schema: structureSchema,
+    unique: unique ? [COLUMNS.node, COLUMNS.parent] : undefined,
+  });
+  return toStructure(rows, filePath);
+}
+
+/**
+ * Compare a tree read from the canvas with a structure
+ * @param {object[]} tree - OrganogramCanvasPage.readTree() result
+ * @param {Array} structure - loadOrganogramStructure() result
+ * @param {object} options - { under } → label the top nodes must hang
+ *   under (not checked when omitted)
+ * @returns {{ missing: Array, extra: Array, misplaced: Array }}
+ *   missing   → { label, parent } in the file, not in the organogram
+ *   extra     → { label, parent } under the file's top nodes, not in the file
+ *   misplaced → { label, expected, actual } under another parent
+ */
+function diffOrganogram(tree, structure, { under = null } = {}) {
+  const everywhere = flattenTree(tree);
+  const labels = new Set(structure.map((node) => node.label));
+
+  // Branches the file describes: under each top node found
+  const inScope = new Set();
+  for (const top of structure.filter((node) => !node.parent)) {
+    const root = findNode(tree, top.label);
+    if (root) {
+      walkTree([root], (node) => inScope.add(node.id));
+    }
+  }
+  const scoped = everywhere.filter((node) => inScope.has(node.id));
+
+  const diff = { missing: [], extra: [], misplaced: [] };
+  for (const expected of structure) {
+    const actual =
+      scoped.find((node) => node.label === expected.label) ||
+      everywhere.find((node) => node.label === expected.label);
+    const expectedParent = expected.parent || under;
+
+    if (!actual) {
+      diff.missing.push({ label: expected.label, parent: expectedParent });
+    } else if (expectedParent && actual.parent !== expectedParent) {
+      diff.misplaced.push({
+        label: expected.label,
+        expected: expectedParent,
+        actual: actual.parent,
+      });
+    }
+  }
+  for (const node of scoped) {
+    if (!labels.has(node.label)) {
+      diff.extra.push({ label: node.label, parent: node.parent });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Whether a diffOrganogram result has no differences
+ * @param {object} diff
+ * @returns {boolean}
+ */
+function isSameStructure(diff) {
+  return diff.missing.length + diff.extra.length + diff.misplaced.length === 0;
+}
+
+/**
+ * Failure message for a diffOrganogram result
+ * @param {string} label - What was compared, e.g. 'Organogram'
+ * @param {object} diff
+ * @returns {string}
+ */
+function formatOrganogramDiff(label, diff) {
+  const lines = [
+    ...diff.missing.map(
+      ({ label: node, parent }) =>
+        `   missing: "${node}"${parent ? ` (under "${parent}")` : ''}`,
+    ),
+    ...diff.extra.map(
+      ({ label: node, parent }) => `   extra: "${node}" (under "${parent}")`,
+    ),
+    ...diff.misplaced.map(
+      ({ label: node, expected, actual }) =>
+        `   misplaced: "${node}" is under "${actual ?? '(no parent)'}", expected "${expected}"`,
+    ),
+  ];
+  return `❌ ${label} differs from the structure file in ${lines.length} node${lines.length === 1 ? '' : 's'}:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  toStructure,
+  loadOrganogramStructure,
+  diffOrganogram,
+  isSameStructure,
+  formatOrganogramDiff,
+};
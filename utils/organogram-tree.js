@@ -0,0 +1,182 @@
+// utils/organogram-tree.js
+/**
+ * Organogram Tree Helpers
+ *
+ * 📚 PURPOSE:
+ * Works on the JSON tree OrganogramCanvasPage.readTree() returns, so
+ * specs assert on structure ("HQ has 3 children") instead of pixels.
+ *
+ * 🎯 NODE SHAPE:
+ * { id: '12', label: '9 Infantry Division', unitType: 'Infantry Division',
+ *   children: [...] }
+ * readTree() returns an array of root nodes.
+ *
+ * 💡 EXAMPLE:
+ * const tree = await organogram.readTree();
+ * getNode(tree, 'Army Headquarters').children.length;       // 3
+ * getNode(tree, 'Army Headquarters > 9 Infantry Division');  // by path
+ * findParent(tree, '9 Signal Battalion').label;             // '9 Infantry Division'
+ * console.log(formatTree(tree));
+ *
+ * NEW MEMBERS:
+ * - Labels can repeat (a Signal Battalion under every division): use a
+ *   path "A > B > C" when a label is not unique - getNode throws on
+ *   ambiguous labels instead of guessing
+ * - All helpers are pure: read the tree once, ask many questions
+ */
+
+const PATH_SEPARATOR = ' > ';
+
+/**
+ * Visit every node depth-first (parents before children)
+ * @param {object[]} nodes - Root nodes
+ * @param {function} visit - (node, parent, depth) => void
+ */
+function walkTree(nodes, visit, parent = null, depth = 0) {
+  for (const node of nodes) {
+    visit(node, parent, depth);
+    walkTree(node.children || [], visit, node, depth + 1);
+  }
+}
+
+/**
+ * Every node with its parent label, depth and path
+ * @param {object[]} nodes
+ * @returns {Array<{id, label, unitType, parent, depth, path}>}
+ */
+function flattenTree(nodes) {
+  const flat = [];
+  const paths = new Map();
+
+  walkTree(nodes, (node, parent, depth) => {
+    const path = parent
+      ? `${paths.get(parent)}${PATH_SEPARATOR}${node.label}`
+      : node.label;
+    paths.set(node, path);
+    flat.push({
+      id: node.id,
+      label: node.label,
+      unitType: node.unitType,
+      parent: parent ? parent.label : null,
+      depth,
+      path,
+    });
+  });
+
+  return flat;
+}
+
+/**
+ * Nodes matching a label, or the node at a path ("A > B > C")
+ * @private
+ */
+function matchNodes(nodes, labelOrPath) {
+  if (labelOrPath.includes(PATH_SEPARATOR)) {
+    let level = nodes;
+    let node = null;
+    for (const label of labelOrPath.split(PATH_SEPARATOR)) {
+      node = level.find((candidate) => candidate.label === label.trim());
+      if (!node) return [];
+      level = node.children || [];
+    }
+    return [node];
+  }
+
+  const matches = [];
+  walkTree(nodes, (node) => {
+    if (node.label === labelOrPath) matches.push(node);
+  });
+  return matches;
+}
+
+/**
+ * Find node by label or path
+ * @param {object[]} nodes
+ * @param {string} labelOrPath - 'Central Workshop' or 'AHQ > Central Workshop'
+ * @returns {object|null} First match
+ */
+function findNode(nodes, labelOrPath) {
+  return matchNodes(nodes, labelOrPath)[0] || null;
+}
+
+/**
+ * Get node by label or path - must exist exactly once
+ * @param {object[]} nodes
+ * @param {string} labelOrPath
+ * @returns {object}
+ * @throws Error if missing (lists the labels) or ambiguous (lists the paths)
+ */
+function getNode(nodes, labelOrPath) {
+  const matches = matchNodes(nodes, labelOrPath);
+
+  if (matches.length === 1) {
+    return matches[0];
+  }
+
+  const flat = flattenTree(nodes);
+  if (matches.length === 0) {
+    throw new Error(
+      `❌ No node "${labelOrPath}" in the organogram. Nodes: ${flat.map((node) => node.label).join(', ')}`,
+    );
+  }
+  const paths = flat
+    .filter((node) => node.label === labelOrPath)
+    .map((node) => node.path);
+  throw new Error(
+    `❌ ${matches.length} nodes are labelled "${labelOrPath}" - use a path: ${paths.join(' | ')}`,
+  );
+}
+
+/**
+ * Parent of a node
+ * @param {object[]} nodes
+ * @param {string} labelOrPath
+ * @returns {object|null} null for a root
+ */
+function findParent(nodes, labelOrPath) {
+  const target = getNode(nodes, labelOrPath);
+  let found = null;
+  walkTree(nodes, (node, parent) => {
+    if (node === target) found = parent;
+  });
+  return found;
+}
+
+/**
+ * Number of nodes (all levels)
+ * @param {object[]} nodes
+ * @returns {number}
+ */
+function countNodes(nodes) {
+  let count = 0;
+  walkTree(nodes, () => count++);
+  return count;
+}
+
+/**
+ * Indented text of the tree, for failure messages and attachments
+ * @param {object[]} nodes
+ * @returns {string}
+ *
+ * Army Headquarters [Army Headquarters]
+ *   9 Infantry Division [Infantry Division]
+ */
+function formatTree(nodes) {
+  const lines = [];
+  walkTree(nodes, (node, parent, depth) => {
+    const unitType = node.unitType ? ` [${node.unitType}]` : '';
+    lines.push(`${'  '.repeat(depth)}${node.label}${unitType}`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  PATH_SEPARATOR,
+  walkTree,
+  flattenTree,
+  findNode,
+  getNode,
+  findParent,
+  countNodes,
+  formatTree,
+};
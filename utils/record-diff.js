@@ -0,0 +1,102 @@
+// utils/record-diff.js
+/**
+ * Record Diff
+ *
+ * 📚 PURPOSE:
+ * Compares a data row with what the app shows for the saved record and
+ * lists every field that differs, so silent data loss (a dropped corps,
+ * an unticked checkbox, a truncated name) fails with the exact field.
+ *
+ * 🎯 WHEN TO USE:
+ * - Round-trip checks: fill form → save → reopen → readForm() → diff
+ * - Any page object that can read a record back as a row-shaped object
+ *
+ * 💡 EXAMPLE:
+ * const diff = diffRecord(csvRow, await unitTypeForm.readForm());
+ * // [{ column: 'Corps Names (English)', expected: 'Artillery, Signals',
+ * //    actual: 'Artillery' }]
+ * if (diff.length) throw new Error(formatRecordDiff('Unit type', diff));
+ *
+ * NEW MEMBERS:
+ * - Only columns the app read back are compared: note columns in the
+ *   data file don't cause noise
+ * - Values compared as text: true ≡ 'Yes', ['A', 'B'] ≡ 'A, B' (order
+ *   ignored), surrounding spaces ignored - raw and schema-typed rows
+ *   both work
+ * - Text is compared after Unicode normalization (NFC); Bengali
+ *   differences carry issues (lost conjunct, ZWJ removed, mojibake -
+ *   utils/bengali-text.js) and invisible characters are shown as <ZWJ>
+ */
+const {
+  hasBengali,
+  findBengaliIssues,
+  showInvisible,
+} = require('./bengali-text');
+
+/**
+ * Bring a value to comparable text
+ * @private
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => String(item).trim())
+      .filter(Boolean)
+      .sort()
+      .join(', ');
+  }
+  return String(value).normalize('NFC').trim();
+}
+
+/**
+ * Field-by-field diff between expected row and read-back record
+ * @param {object} expected - Data row (CSV, JSON, ... see utils/data-loader.js)
+ * @param {object} actual - Record read back from the app
+ * @returns {Array<{column: string, expected: string, actual: string, issues: string[]}>}
+ *   Empty when every read-back column matches; issues only for Bengali text
+ *
+ * USAGE:
+ *   const diff = diffRecord(unitType, await unitTypeForm.readForm());
+ */
+function diffRecord(expected, actual) {
+  const diff = [];
+
+  for (const column of Object.keys(actual)) {
+    if (!(column in expected)) continue;
+
+    const expectedText = normalizeValue(expected[column]);
+    const actualText = normalizeValue(actual[column]);
+    if (expectedText !== actualText) {
+      const issues =
+        hasBengali(expectedText) || hasBengali(actualText)
+          ? findBengaliIssues(expectedText, actualText)
+          : [];
+      diff.push({ column, expected: expectedText, actual: actualText, issues });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Format diff as one readable error message
+ * @param {string} label - Record being compared, e.g. 'Unit type "AFD"'
+ * @param {Array} diff - Result of diffRecord
+ * @returns {string}
+ */
+function formatRecordDiff(label, diff) {
+  return (
+    `❌ ${label} saved with ${diff.length} different field${diff.length === 1 ? '' : 's'}:\n` +
+    diff
+      .map(
+        ({ column, expected, actual, issues = [] }) =>
+          `   ${column}: expected "${showInvisible(expected)}", got "${showInvisible(actual)}"` +
+          (issues.length > 0 ? ` - ${issues.join('; ')}` : ''),
+      )
+      .join('\n')
+  );
+}
+
+module.exports = { diffRecord, formatRecordDiff };
@@ -0,0 +1,109 @@
+// utils/save-outcome.js
+/**
+ * Save Outcome
+ *
+ * 📚 PURPOSE:
+ * Tells what happened after a form's Save/Create/Update click: the record
+ * was saved, the form refused it (validation) or the server refused it
+ * (conflict, e.g. the name already exists). A URL check alone can't:
+ * a refused POST can re-render the form under the list URL.
+ *
+ * 🎯 EVIDENCE USED (first match wins):
+ * - Accepted (2xx/3xx) and left the form → success, whatever the toast says
+ * - Response status: 409 → conflict, 400/422 → validation, 5xx → error
+ * - Toast/alert and field error text: "already exists", "duplicate" →
+ *   conflict whenever the form is still shown (even after a 2xx) or the
+ *   status is 4xx/5xx (backends report unique constraints in many ways)
+ * - Left the form (no request) → success
+ * - Still on the form with field errors → validation (client-side, when
+ *   no request was sent)
+ *
+ * 💡 EXAMPLE:
+ * const result = await unitTypeForm.attemptSave();
+ * // { outcome: 'conflict', status: 409,
+ * //   message: 'Unit type "Army" already exists', fieldErrors: [...] }
+ * expect(result.outcome).toBe(SAVE_OUTCOMES.CONFLICT);
+ *
+ * NEW MEMBERS:
+ * - save() on the page objects throws describeSaveOutcome(...) for
+ *   anything but success - use attemptSave() when failure is expected
+ */
+
+const SAVE_OUTCOMES = {
+  SUCCESS: 'success',
+  VALIDATION: 'validation',
+  CONFLICT: 'conflict',
+  ERROR: 'error',
+};
+
+const CONFLICT_TEXT =
+  /(already exists|already in use|duplicate|unique constraint|conflict)/i;
+
+/**
+ * Classify a save attempt
+ * @param {object} evidence
+ *   status      → response status of the save request (null: none seen)
+ *   leftForm    → the form is no longer shown
+ *   message     → toast/alert text ('' if none)
+ *   fieldErrors → field error texts
+ * @returns {{ outcome: string, status: number|null, message: string, fieldErrors: string[] }}
+ */
+function classifySaveOutcome({
+  status = null,
+  leftForm = false,
+  message = '',
+  fieldErrors = [],
+}) {
+  const result = { status, message, fieldErrors };
+  const text = [message, ...fieldErrors].join(' ');
+  const outcome = (value) => ({ outcome: value, ...result });
+
+  // Accepted and gone: a toast that mentions "unique" is not a refusal
+  if (status !== null && status < 400 && leftForm) {
+    return outcome(SAVE_OUTCOMES.SUCCESS);
+  }
+  if (
+    status === 409 ||
+    ((!leftForm || (status !== null && status >= 400)) &&
+      CONFLICT_TEXT.test(text))
+  ) {
+    return outcome(SAVE_OUTCOMES.CONFLICT);
+  }
+  if (status === 400 || status === 422) {
+    return outcome(SAVE_OUTCOMES.VALIDATION);
+  }
+  if (status !== null && status >= 400) {
+    return outcome(SAVE_OUTCOMES.ERROR);
+  }
+  if (leftForm) {
+    return outcome(SAVE_OUTCOMES.SUCCESS);
+  }
+  if (fieldErrors.length > 0) {
+    return outcome(SAVE_OUTCOMES.VALIDATION);
+  }
+  // Accepted (or nothing sent) but still on the form, no reason shown
+  return outcome(SAVE_OUTCOMES.ERROR);
+}
+
+/**
+ * Error message for a save that didn't succeed
+ * @param {object} result - classifySaveOutcome result
+ * @param {string} label - Record being saved, e.g. 'Unit type "Army"'
+ * @returns {string}
+ */
+function describeSaveOutcome(result, label) {
+  const reason = {
+    [SAVE_OUTCOMES.VALIDATION]: 'validation failed',
+    [SAVE_OUTCOMES.CONFLICT]: 'server conflict',
+    [SAVE_OUTCOMES.ERROR]: 'save failed',
+  }[result.outcome];
+  const details = [result.message, ...result.fieldErrors].filter(Boolean);
+
+  return (
+    `❌ ${label} not saved - ${reason}` +
+    (result.status !== null ? ` (HTTP ${result.status})` : '') +
+    (details.length > 0 ? `: ${details.join('; ')}` : '')
+  );
+}
+
+module.exports = { SAVE_OUTCOMES, classifySaveOutcome, describeSaveOutcome };
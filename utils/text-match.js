@@ -0,0 +1,32 @@
+// utils/text-match.js
+/**
+ * Text Matching
+ *
+ * 📚 PURPOSE:
+ * Whole-text matchers for Playwright filters. { hasText: 'Army' } also
+ * matches "Army Headquarters"; { hasText: exactText('Army') } doesn't.
+ *
+ * 💡 EXAMPLE:
+ * rows.filter({ hasText: exactText('Army Museum') });
+ * chips.filter({ hasText: exactText('Artillery') });
+ */
+
+/**
+ * Escape text for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * RegExp matching exactly this text (surrounding spaces allowed)
+ * @param {string|number} text
+ * @returns {RegExp}
+ */
+function exactText(text) {
+  return new RegExp(`^\\s*${escapeRegExp(text)}\\s*$`);
+}
+
+module.exports = { escapeRegExp, exactText };
@@ -0,0 +1,133 @@
+// utils/unique-data.js
+/**
+ * Unique Test Data
+ *
+ * 📚 PURPOSE:
+ * Makes data-driven rows unique per run and per worker, so created
+ * records don't collide with real reference data on the server or with
+ * rows created by parallel workers.
+ *
+ * 🎯 WHEN TO USE:
+ * - Rows whose names are real reference data (test-data/unit-types.csv)
+ * - Any spec running with WORKERS > 1 that creates named records
+ *
+ * 💡 EXAMPLE:
+ * const rows = await readCSV('./test-data/unit-types.csv', {
+ *   unique: ['Name (English)', 'Name (Bangla)'],
+ * });
+ * rows[0]['Name (English)']         // "Armed Forces Division 482913-0"
+ * rows[0]['Name (Bangla)']          // "আর্মড ফোর্সেস ডিভিসন ৪৮২৯১৩-০"
+ * getOriginal(rows[0])['Name (English)'] // "Armed Forces Division"
+ *
+ * NEW MEMBERS:
+ * - Suffix = run id + worker index; Bengali values get Bengali digits
+ * - Run id comes from TEST_RUN_ID (global-setup sets it once per run so
+ *   every worker shares it) - set it yourself to reproduce a run or for
+ *   HAR replay
+ * - Use the ORIGINAL value in test titles: titles must be the same in
+ *   every worker process
+ */
+
+const BENGALI_DIGITS = ['০', '১', '২', '৩', '৪', '৫', '৬', '৭', '৮', '৯'];
+const BENGALI_SCRIPT = /[ঀ-৿]/;
+
+/**
+ * Create a new run id (6 digits)
+ * @returns {string}
+ */
+function createRunId() {
+  return String(Date.now() % 1_000_000).padStart(6, '0');
+}
+
+/**
+ * Get run id shared by all workers of this run
+ * @returns {string}
+ */
+function getRunId() {
+  if (!process.env.TEST_RUN_ID) {
+    process.env.TEST_RUN_ID = createRunId();
+  }
+  return process.env.TEST_RUN_ID;
+}
+
+/**
+ * Get current worker index ('0' outside Playwright workers)
+ * @returns {string}
+ */
+function getWorkerIndex() {
+  return process.env.TEST_PARALLEL_INDEX || '0';
+}
+
+/**
+ * Convert ASCII digits to Bengali digits
+ * @param {string} text
+ * @returns {string}
+ *
+ * USAGE:
+ *   toBengaliDigits('2024-1'); // "২০২৪-১"
+ */
+function toBengaliDigits(text) {
+  return String(text).replace(/[0-9]/g, (digit) => BENGALI_DIGITS[digit]);
+}
+
+/**
+ * Build suffix for value, in the value's script
+ * @param {string} value
+ * @returns {string} e.g. " 482913-0" or " ৪৮২৯১৩-০"
+ */
+function uniqueSuffixFor(value) {
+  const suffix = `${getRunId()}-${getWorkerIndex()}`;
+  return ` ${BENGALI_SCRIPT.test(value) ? toBengaliDigits(suffix) : suffix}`;
+}
+
+/**
+ * Return copy of row with a run/worker suffix on the given fields
+ * Original values stay available through getOriginal(row)
+ * @param {object} row - Data row
+ * @param {string[]} fields - Columns to make unique (empty values skipped)
+ * @returns {object} New row
+ * @throws Error if a field is not a column of the row
+ */
+function makeRowUnique(row, fields) {
+  const uniqueRow = { ...row };
+
+  for (const field of fields) {
+    if (!(field in row)) {
+      throw new Error(
+        `❌ Unique field "${field}" is not a column. Columns: ${Object.keys(row).join(', ')}`,
+      );
+    }
+
+    const value = String(row[field] ?? '').trim();
+    if (value) {
+      uniqueRow[field] = `${value}${uniqueSuffixFor(value)}`;
+    }
+  }
+
+  // Non-enumerable: not iterated as a column, still there for reporting
+  Object.defineProperty(uniqueRow, '__original', {
+    value: getOriginal(row),
+    enumerable: false,
+  });
+
+  return uniqueRow;
+}
+
+/**
+ * Get row as it was in the data file (before makeRowUnique)
+ * @param {object} row
+ * @returns {object}
+ */
+function getOriginal(row) {
+  return row.__original || row;
+}
+
+module.exports = {
+  createRunId,
+  getRunId,
+  getWorkerIndex,
+  toBengaliDigits,
+  uniqueSuffixFor,
+  makeRowUnique,
+  getOriginal,
+};
@@ -0,0 +1,154 @@
+// utils/validation-rules.js
+/**
+ * Validation Rules
+ *
+ * 📚 PURPOSE:
+ * Turns a form's declared validation rules (test-data/rules/*.rules.js)
+ * into negative test cases: one violating data row per rule.
+ *
+ * 🎯 RULES (per column):
+ * - required: true     → column left empty
+ * - maxLength: 100     → 101 characters (Bengali letters for Bengali fields)
+ * - script: 'bengali'  → Latin text
+ * - unique: true       → value of a record created first (spec does setup)
+ *
+ * 💡 EXAMPLE:
+ * const rules = require('../test-data/rules/unit-type-form.rules');
+ * for (const violation of buildViolations(rules, validRow, UNIT_TYPE_FIELDS)) {
+ *   test(`should refuse ${violation.title}`, async () => {
+ *     await form.fillForm(violation.row);
+ *     await form.attemptSave(); // refused: form stays open
+ *     await assertFormFieldError(page, violation.field, violation.message);
+ *   });
+ * }
+ *
+ * NEW MEMBERS:
+ * - Each violating row is the valid row with ONE rule broken, so the
+ *   field error can only come from that rule
+ * - Expected messages are loose defaults; override per column with
+ *   messages: { required: 'Name is mandatory' }
+ */
+
+const BENGALI_SCRIPT = /[ঀ-৿]/;
+const RULES = ['required', 'maxLength', 'script', 'unique'];
+
+const DEFAULT_MESSAGES = {
+  required: /required/i,
+  maxLength: /(at most|maximum|too long|characters)/i,
+  script: /(bengali|bangla)/i,
+  unique: /(already exists|duplicate|unique)/i,
+};
+
+/**
+ * Same value, changed just enough to be different (same script)
+ * @param {string} value
+ * @returns {string} e.g. "Army B", "আর্মি খ"
+ */
+function variantOf(value) {
+  return `${value} ${BENGALI_SCRIPT.test(value) ? 'খ' : 'B'}`;
+}
+
+/**
+ * Readable test title part for a rule
+ * @private
+ */
+function describeRule(column, rule, spec) {
+  switch (rule) {
+    case 'required':
+      return `empty ${column}`;
+    case 'maxLength':
+      return `${column} longer than ${spec.maxLength} characters`;
+    case 'script':
+      return `non-Bengali ${column}`;
+    case 'unique':
+      return `duplicate ${column}`;
+  }
+}
+
+/**
+ * Valid row with one column changed to break one rule
+ * @private
+ */
+function violatingRow(validRow, column, rule, spec, context) {
+  const { fieldMap, uniqueColumns } = context;
+  const row = { ...validRow };
+
+  switch (rule) {
+    case 'required':
+      // Text is emptied; option lists can't be, so leave them unset
+      if (fieldMap[column]?.type === 'text') row[column] = '';
+      else delete row[column];
+      break;
+    case 'maxLength':
+      row[column] = (spec.script === 'bengali' ? 'ক' : 'A').repeat(
+        spec.maxLength + 1,
+      );
+      break;
+    case 'script':
+      row[column] = 'Latin Text';
+      break;
+    case 'unique':
+      // Same value as validRow here, every other unique column differs
+      for (const other of uniqueColumns) {
+        if (other !== column) row[other] = variantOf(validRow[other]);
+      }
+      break;
+  }
+
+  return row;
+}
+
+/**
+ * Build one violating row per declared rule
+ * @param {object} rules - { column: { field, required, maxLength, script, unique, messages } }
+ * @param {object} validRow - Row that passes every rule
+ * @param {object} fieldMap - Form field map (column → { control, type })
+ * @returns {Array<{column, field, rule, title, row, message, needsExisting}>}
+ *   needsExisting → unique rule: create validRow first, then submit row
+ * @throws Error if a rule column is missing from the data or field map,
+ *   or a column declares an unknown rule
+ */
+function buildViolations(rules, validRow, fieldMap) {
+  const uniqueColumns = Object.keys(rules).filter((c) => rules[c].unique);
+  const violations = [];
+
+  for (const [column, spec] of Object.entries(rules)) {
+    if (!(column in validRow) || !(column in fieldMap)) {
+      throw new Error(
+        `❌ Rule column "${column}" is not in the data/field map. Columns: ${Object.keys(fieldMap).join(', ')}`,
+      );
+    }
+
+    const unknown = Object.keys(spec).filter(
+      (key) => !RULES.includes(key) && !['field', 'messages'].includes(key),
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `❌ "${column}" has unknown rule(s) ${unknown.join(', ')}. Rules: ${RULES.join(', ')}`,
+      );
+    }
+
+    for (const rule of RULES.filter((r) => spec[r])) {
+      violations.push({
+        column,
+        field: spec.field,
+        rule,
+        title: describeRule(column, rule, spec),
+        row: violatingRow(validRow, column, rule, spec, {
+          fieldMap,
+          uniqueColumns,
+        }),
+        message: spec.messages?.[rule] || DEFAULT_MESSAGES[rule],
+        needsExisting: rule === 'unique',
+      });
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  DEFAULT_MESSAGES,
+  buildViolations,
+  variantOf,
+};